@@ -0,0 +1,279 @@
+// AudioWorkletでマイク入力を解析し、フレーム単位のレベルと発話判定をメインスレッドへ送るプロセッサ
+
+/**
+ * 音声区間検出（VAD）
+ * 時間波形のRMSレベル（dBFS）と音声帯域（約300〜3400Hz）のスペクトル特徴から発話らしさを判定する
+ */
+class VoiceActivityDetector {
+  constructor(sampleRate, fftSize) {
+    this.sampleRate = sampleRate;
+    this.fftSize = fftSize;
+    this.minLevelDb = -100; // 無音時のレベル下限（dBFS）
+    this.speechBandLow = 300; // 音声帯域の下限（Hz）
+    this.speechBandHigh = 3400; // 音声帯域の上限（Hz）
+    this.confidenceThreshold = 0.5; // 発話と判定する信頼度の下限
+    this.smoothing = 0.6; // 信頼度の平滑化係数（大きいほど変化が緩やか）
+    this.confidence = 0;
+
+    const binWidth = sampleRate / fftSize;
+    this.lowBin = Math.max(1, Math.floor(this.speechBandLow / binWidth));
+    this.highBin = Math.min(fftSize / 2 - 1, Math.ceil(this.speechBandHigh / binWidth));
+  }
+
+  /**
+   * 1フレーム分のパワースペクトルと時間波形から発話らしさを判定する
+   */
+  analyze(powerSpectrum, timeData) {
+    const levelDb = this.calculateRmsDb(timeData);
+    const bandRatio = this.calculateBandEnergyRatio(powerSpectrum);
+    const flatness = this.calculateSpectralFlatness(powerSpectrum);
+    const zeroCrossingRate = this.calculateZeroCrossingRate(timeData);
+
+    // 各特徴量を0-1のスコアに変換して重み付けする
+    const bandScore = this.clamp((bandRatio - 0.3) / 0.4);
+    const flatnessScore = this.clamp((0.6 - flatness) / 0.4);
+    const zcrScore = this.scoreZeroCrossingRate(zeroCrossingRate);
+    const rawConfidence = bandScore * 0.45 + flatnessScore * 0.35 + zcrScore * 0.2;
+
+    this.confidence = this.smoothing * this.confidence + (1 - this.smoothing) * rawConfidence;
+
+    return {
+      isVoice: this.confidence >= this.confidenceThreshold,
+      confidence: this.confidence,
+      levelDb: levelDb,
+      bandRatio: bandRatio,
+      flatness: flatness,
+      zeroCrossingRate: zeroCrossingRate,
+    };
+  }
+
+  /**
+   * 時間波形のRMSレベルをdBFSで計算（フルスケールの正弦波ではなく矩形波を0dBFSとする）
+   */
+  calculateRmsDb(timeData) {
+    let sumSquares = 0;
+    for (let i = 0; i < timeData.length; i++) {
+      sumSquares += timeData[i] * timeData[i];
+    }
+    const rms = Math.sqrt(sumSquares / timeData.length);
+    return rms > 0 ? Math.max(this.minLevelDb, 20 * Math.log10(rms)) : this.minLevelDb;
+  }
+
+  /**
+   * 全帯域のエネルギーに対する音声帯域のエネルギー比を計算
+   */
+  calculateBandEnergyRatio(powerSpectrum) {
+    let bandEnergy = 0;
+    let totalEnergy = 0;
+    // 直流成分（0番目のビン）は除外する
+    for (let i = 1; i < powerSpectrum.length; i++) {
+      totalEnergy += powerSpectrum[i];
+      if (i >= this.lowBin && i <= this.highBin) {
+        bandEnergy += powerSpectrum[i];
+      }
+    }
+    return totalEnergy > 0 ? bandEnergy / totalEnergy : 0;
+  }
+
+  /**
+   * 音声帯域のスペクトル平坦度を計算（0: 調波的、1: ノイズ的）
+   */
+  calculateSpectralFlatness(powerSpectrum) {
+    let logSum = 0;
+    let sum = 0;
+    const count = this.highBin - this.lowBin + 1;
+    for (let i = this.lowBin; i <= this.highBin; i++) {
+      const power = powerSpectrum[i] + 1e-12;
+      logSum += Math.log(power);
+      sum += power;
+    }
+    const geometricMean = Math.exp(logSum / count);
+    const arithmeticMean = sum / count;
+    return arithmeticMean > 0 ? geometricMean / arithmeticMean : 1;
+  }
+
+  /**
+   * ゼロ交差率を計算（1サンプルあたりの符号反転の割合）
+   */
+  calculateZeroCrossingRate(timeData) {
+    let crossings = 0;
+    for (let i = 1; i < timeData.length; i++) {
+      if (timeData[i - 1] >= 0 !== timeData[i] >= 0) {
+        crossings++;
+      }
+    }
+    return crossings / (timeData.length - 1);
+  }
+
+  /**
+   * ゼロ交差率が音声帯域の周波数に相当する範囲にあるほど高いスコアを返す
+   */
+  scoreZeroCrossingRate(zeroCrossingRate) {
+    const low = (2 * 100) / this.sampleRate;
+    const high = (2 * this.speechBandHigh) / this.sampleRate;
+    if (zeroCrossingRate < low) {
+      return this.clamp(zeroCrossingRate / low);
+    }
+    if (zeroCrossingRate > high) {
+      return this.clamp(1 - (zeroCrossingRate - high) / high);
+    }
+    return 1;
+  }
+
+  /**
+   * 値を0-1の範囲に収める
+   */
+  clamp(value) {
+    return Math.min(1, Math.max(0, value));
+  }
+}
+
+/**
+ * 基数2のFFTでパワースペクトルを計算する
+ */
+class SpectrumAnalyzer {
+  constructor(fftSize) {
+    this.fftSize = fftSize;
+    this.real = new Float32Array(fftSize);
+    this.imag = new Float32Array(fftSize);
+    this.powerSpectrum = new Float32Array(fftSize / 2);
+
+    // ハン窓
+    this.window = new Float32Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      this.window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (fftSize - 1)));
+    }
+
+    // ビット反転の並び替え表
+    const bits = Math.log2(fftSize);
+    this.reversed = new Uint32Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      let reversed = 0;
+      for (let bit = 0; bit < bits; bit++) {
+        reversed = (reversed << 1) | ((i >> bit) & 1);
+      }
+      this.reversed[i] = reversed;
+    }
+  }
+
+  /**
+   * 時間波形からパワースペクトルを計算
+   */
+  analyze(timeData) {
+    const { fftSize, real, imag } = this;
+    for (let i = 0; i < fftSize; i++) {
+      real[this.reversed[i]] = timeData[i] * this.window[i];
+      imag[i] = 0;
+    }
+
+    for (let size = 2; size <= fftSize; size *= 2) {
+      const halfSize = size / 2;
+      const angle = (-2 * Math.PI) / size;
+      for (let start = 0; start < fftSize; start += size) {
+        for (let k = 0; k < halfSize; k++) {
+          const cos = Math.cos(angle * k);
+          const sin = Math.sin(angle * k);
+          const even = start + k;
+          const odd = even + halfSize;
+          const oddReal = real[odd] * cos - imag[odd] * sin;
+          const oddImag = real[odd] * sin + imag[odd] * cos;
+          real[odd] = real[even] - oddReal;
+          imag[odd] = imag[even] - oddImag;
+          real[even] += oddReal;
+          imag[even] += oddImag;
+        }
+      }
+    }
+
+    for (let i = 0; i < this.powerSpectrum.length; i++) {
+      this.powerSpectrum[i] = (real[i] * real[i] + imag[i] * imag[i]) / fftSize;
+    }
+    return this.powerSpectrum;
+  }
+}
+
+/**
+ * マイク入力を一定間隔（hopSize）ごとに解析し、結果をポートへ送る
+ */
+class AudioLevelProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const processorOptions = (options && options.processorOptions) || {};
+    this.fftSize = processorOptions.fftSize || 2048; // 解析窓の長さ（サンプル数、2の累乗）
+    this.hopSize = processorOptions.hopSize || this.fftSize; // 解析を行う間隔（サンプル数）
+
+    this.ringBuffer = new Float32Array(this.fftSize);
+    this.frame = new Float32Array(this.fftSize);
+    this.writeIndex = 0;
+    this.samplesSinceAnalysis = 0;
+    this.spectrum = new SpectrumAnalyzer(this.fftSize);
+    this.vad = new VoiceActivityDetector(sampleRate, this.fftSize);
+    this.isRunning = true;
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  /**
+   * メインスレッドからの設定変更・停止要求を処理
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case "configure":
+        if (message.hopSize > 0) {
+          this.hopSize = message.hopSize;
+        }
+        break;
+      case "stop":
+        this.isRunning = false;
+        break;
+    }
+  }
+
+  process(inputs) {
+    if (!this.isRunning) return false;
+
+    const input = inputs[0];
+    // 入力が未接続の間は何もしない
+    if (!input || input.length === 0) return true;
+
+    const channel = input[0];
+    for (let i = 0; i < channel.length; i++) {
+      this.ringBuffer[this.writeIndex] = channel[i];
+      this.writeIndex = (this.writeIndex + 1) % this.fftSize;
+    }
+    this.samplesSinceAnalysis += channel.length;
+
+    if (this.samplesSinceAnalysis >= this.hopSize) {
+      // 128サンプル単位で処理するため、実際の間隔はhopSizeより長くなることがある。蓄積したサンプル数を長さとして送る
+      const duration = this.samplesSinceAnalysis / sampleRate;
+      this.samplesSinceAnalysis = 0;
+      // フレームの終端のサンプル位置から時刻を求める（タイマーの間引きに影響されない）
+      this.postFrame((currentFrame + channel.length) / sampleRate, duration);
+    }
+
+    return true;
+  }
+
+  /**
+   * 直近の解析窓を解析して結果を送信
+   * @param {number} time フレームの終端の時刻（秒）
+   * @param {number} duration 前回の解析からの長さ（秒）
+   */
+  postFrame(time, duration) {
+    for (let i = 0; i < this.fftSize; i++) {
+      this.frame[i] = this.ringBuffer[(this.writeIndex + i) % this.fftSize];
+    }
+
+    const result = this.vad.analyze(this.spectrum.analyze(this.frame), this.frame);
+    this.port.postMessage({
+      type: "frame",
+      time: time,
+      duration: duration,
+      levelDb: result.levelDb,
+      confidence: result.confidence,
+      isVoice: result.isVoice,
+    });
+  }
+}
+
+registerProcessor("audio-level-processor", AudioLevelProcessor);
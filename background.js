@@ -1,11 +1,631 @@
 // バックグラウンドスクリプト - 拡張機能の状態管理と通知処理
-class BackgroundService {
+importScripts("settings.js", "messages.js");
+
+/**
+ * chrome.storage.localの読み込み→更新→保存を1件ずつ順番に実行するキュー
+ * （同時に届いたイベントの更新が互いに上書きされないようにする）
+ */
+class StorageTaskQueue {
+  constructor() {
+    this.queue = Promise.resolve(); // 実行待ちの読み書き
+  }
+
+  /**
+   * 処理を順番に実行（前の処理が失敗しても後の処理は実行する）
+   */
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch((error) => {
+      console.error("Auto 3s Mute: ストレージの更新に失敗しました:", error);
+    });
+    return result;
+  }
+
+  /**
+   * ストレージから値を読み込み
+   */
+  static read(key, defaultValue) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get({ [key]: defaultValue }, (result) => {
+        resolve(result[key]);
+      });
+    });
+  }
+
+  /**
+   * ストレージに値を保存
+   */
+  static write(key, value) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [key]: value }, () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve(value);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * 統計をchrome.storage.localに保存する（Service Workerが停止しても失われない）
+ * 更新は読み込み→加算→保存を1件ずつ順番に行うため、同時に届いたイベントも取りこぼさない
+ */
+class StatsStore {
   constructor() {
-    this.stats = {
+    this.queue = new StorageTaskQueue();
+  }
+
+  /**
+   * 統計の初期値を取得
+   */
+  static getDefaults() {
+    return {
       autoMuteCount: 0,
       autoUnmuteCount: 0,
+      manualMuteCount: 0, // 手動ミュートの検出回数
+      blockedUnmuteCount: 0, // 手動ミュートのため自動ミュート解除しなかった回数
+      failedActionCount: 0, // 自動ミュート/解除の操作に失敗した回数
       lastActivity: null,
     };
+  }
+
+  /**
+   * 統計を取得（実行待ちの更新がすべて反映された値を返す）
+   */
+  get() {
+    return this.queue.enqueue(() => this.read());
+  }
+
+  /**
+   * 統計の項目を1加算し、最終活動時刻を更新
+   */
+  increment(key) {
+    return this.queue.enqueue(() =>
+      this.read().then((stats) => {
+        stats[key] = (stats[key] || 0) + 1;
+        stats.lastActivity = new Date().toISOString();
+        return this.write(stats);
+      })
+    );
+  }
+
+  /**
+   * 統計をリセット
+   */
+  reset() {
+    return this.queue.enqueue(() => this.write(StatsStore.getDefaults()));
+  }
+
+  /**
+   * ストレージから統計を読み込み
+   */
+  read() {
+    return StorageTaskQueue.read("stats", StatsStore.getDefaults()).then((stats) => ({ ...StatsStore.getDefaults(), ...stats }));
+  }
+
+  /**
+   * ストレージに統計を保存
+   */
+  write(stats) {
+    return StorageTaskQueue.write("stats", stats);
+  }
+}
+
+/**
+ * 会議ごとのセッション（参加・退出時刻とミュート/ミュート解除のイベント）をchrome.storage.localに保存する
+ * セッション: { id, meetingCode, tabId, joinedAt, leftAt（記録中はnull）, events: [{ time, type, reason, method?, error? }], analytics? }
+ */
+class SessionStore {
+  constructor() {
+    this.queue = new StorageTaskQueue();
+    this.maxEventsPerSession = 2000; // 1セッションに保存するイベントの上限
+    this.lateAnalyticsWindow = 60 * 1000; // 退出後に届いた集計を受け付ける時間（ms）
+  }
+
+  /**
+   * 会議への参加を記録（同じタブで記録中のセッションがあれば先に終了する）
+   */
+  start(tabId, meetingCode, time) {
+    return this.update((sessions) => {
+      this.closeOpenSessions(sessions, (session) => session.tabId === tabId, time);
+      const session = {
+        id: `${meetingCode}-${time}`,
+        meetingCode: meetingCode,
+        tabId: tabId,
+        joinedAt: time,
+        leftAt: null,
+        events: [],
+      };
+      sessions.push(session);
+      return session;
+    });
+  }
+
+  /**
+   * 会議からの退出を記録
+   * @returns {Promise<Object|null>} 終了したセッション
+   */
+  end(tabId, time) {
+    return this.update((sessions) => this.closeOpenSessions(sessions, (session) => session.tabId === tabId, time)[0] || null);
+  }
+
+  /**
+   * タブで記録中のセッションにイベントを追加（通話中でない場合は記録しない）
+   */
+  addEvent(tabId, event) {
+    return this.update((sessions) => {
+      const session = sessions.find((item) => item.tabId === tabId && item.leftAt === null);
+      if (!session) return null;
+      if (session.events.length < this.maxEventsPerSession) {
+        session.events.push(event);
+      }
+      return session;
+    });
+  }
+
+  /**
+   * タブのセッションに話した時間の集計を保存（退出直後に届いた集計は直前のセッションに保存する）
+   */
+  setAnalytics(tabId, analytics, time) {
+    return this.update((sessions) => {
+      const session = sessions
+        .filter((item) => item.tabId === tabId && (item.leftAt === null || time - item.leftAt <= this.lateAnalyticsWindow))
+        .sort((a, b) => b.joinedAt - a.joinedAt)[0];
+      if (!session) return null;
+      session.analytics = analytics;
+      return session;
+    });
+  }
+
+  /**
+   * 既に存在しないタブで記録中のまま残っているセッションを終了（Service Workerの停止中にタブが閉じられた場合）
+   */
+  closeOrphans(openTabIds) {
+    return this.update((sessions) => this.closeOpenSessions(sessions, (session) => !openTabIds.includes(session.tabId), null));
+  }
+
+  /**
+   * セッションの一覧を新しい順に取得
+   */
+  list() {
+    return this.queue.enqueue(() => this.read()).then((sessions) => sessions.slice().sort((a, b) => b.joinedAt - a.joinedAt));
+  }
+
+  /**
+   * セッションを1件削除
+   * @returns {Promise<boolean>} 削除した場合はtrue
+   */
+  remove(sessionId) {
+    return this.update((sessions) => {
+      const index = sessions.findIndex((session) => session.id === sessionId);
+      if (index >= 0) {
+        sessions.splice(index, 1);
+      }
+      return index >= 0;
+    });
+  }
+
+  /**
+   * エクスポートしたセッションを統合（不正なデータ、登録済みのIDと保存期間外のセッションはスキップする）
+   * @returns {Promise<{added: number, duplicates: number, expired: number, invalid: number}>}
+   */
+  merge(imported, retentionDays) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    return this.update((sessions) => {
+      const ids = new Set(sessions.map((session) => session.id));
+      const result = { added: 0, duplicates: 0, expired: 0, invalid: 0 };
+      for (const session of imported) {
+        const merged = this.normalizeImported(session);
+        if (!merged) {
+          result.invalid++;
+          continue;
+        }
+        if (ids.has(merged.id)) {
+          result.duplicates++;
+          continue;
+        }
+        // 記録中のままエクスポートされたセッションは終了済みとして取り込む
+        this.closeOpenSessions([merged], () => true, null);
+        if (merged.leftAt < cutoff) {
+          result.expired++;
+          continue;
+        }
+        ids.add(merged.id);
+        sessions.push(merged);
+        result.added++;
+      }
+      return result;
+    });
+  }
+
+  /**
+   * インポートするセッションを検証して保存する形に揃える（不正な場合はnull）
+   */
+  normalizeImported(session) {
+    const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+    if (!session || typeof session !== "object") return null;
+    if (typeof session.id !== "string" || session.id === "" || typeof session.meetingCode !== "string") return null;
+    if (!isNumber(session.joinedAt) || !Array.isArray(session.events)) return null;
+    if (session.leftAt !== null && session.leftAt !== undefined && (!isNumber(session.leftAt) || session.leftAt < session.joinedAt)) return null;
+
+    const normalized = {
+      id: session.id,
+      meetingCode: session.meetingCode,
+      tabId: null,
+      joinedAt: session.joinedAt,
+      leftAt: isNumber(session.leftAt) ? session.leftAt : null,
+      events: session.events
+        .filter((event) => event && typeof event === "object" && isNumber(event.time) && typeof event.type === "string")
+        .slice(0, this.maxEventsPerSession),
+    };
+
+    // 集計は数値がそろっている場合だけ取り込む（文字列の数値は表示の合計を壊すため受け付けない）
+    const analytics = session.analytics;
+    const fields = ["monitoredTime", "speakingTime", "mutedTime", "longestTurn", "turnCount", "talkRatio"];
+    if (analytics && typeof analytics === "object" && fields.every((field) => isNumber(analytics[field]) && analytics[field] >= 0) && analytics.talkRatio <= 1) {
+      normalized.analytics = Object.fromEntries(fields.map((field) => [field, analytics[field]]));
+    }
+    return normalized;
+  }
+
+  /**
+   * 保存期間を過ぎた終了済みのセッションを削除
+   * @returns {Promise<number>} 削除した件数
+   */
+  prune(retentionDays) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    return this.update((sessions) => {
+      let removed = 0;
+      for (let i = sessions.length - 1; i >= 0; i--) {
+        if (sessions[i].leftAt !== null && sessions[i].leftAt < cutoff) {
+          sessions.splice(i, 1);
+          removed++;
+        }
+      }
+      return removed;
+    });
+  }
+
+  /**
+   * セッションの一覧を読み込み、変更して保存（mutatorがnullかfalseを返した場合は変更なしとして保存しない）
+   */
+  update(mutator) {
+    return this.queue.enqueue(() =>
+      this.read().then((sessions) => {
+        const result = mutator(sessions);
+        if (result === null || result === false) return result;
+        return this.write(sessions).then(() => result);
+      })
+    );
+  }
+
+  /**
+   * 条件に合う記録中のセッションを終了（時刻がnullの場合は最後のイベントの時刻で終了する）
+   */
+  closeOpenSessions(sessions, predicate, time) {
+    const closed = sessions.filter((session) => session.leftAt === null && predicate(session));
+    for (const session of closed) {
+      const lastEvent = session.events[session.events.length - 1];
+      session.leftAt = time !== null ? time : lastEvent ? lastEvent.time : session.joinedAt;
+    }
+    return closed;
+  }
+
+  /**
+   * ストレージからセッションの一覧を読み込み
+   */
+  read() {
+    return StorageTaskQueue.read("sessions", []);
+  }
+
+  /**
+   * ストレージにセッションの一覧を保存
+   */
+  write(sessions) {
+    return StorageTaskQueue.write("sessions", sessions);
+  }
+}
+
+/**
+ * タブごとの一時停止（スヌーズ）をchrome.storage.localに保存する（Service Workerが停止しても失われないようにする）
+ */
+class SnoozeStore {
+  constructor() {
+    this.queue = new StorageTaskQueue();
+  }
+
+  /**
+   * タブの一時停止を取得（終了時刻を過ぎたものはnull）
+   * @returns {Promise<{until: number|null, startedAt: number}|null>} untilがnullの場合は会議が終わるまで
+   */
+  get(tabId) {
+    return this.queue.enqueue(() => this.read()).then((snoozes) => {
+      const snooze = snoozes[tabId];
+      return snooze && (snooze.until === null || snooze.until > Date.now()) ? snooze : null;
+    });
+  }
+
+  /**
+   * タブの一時停止を保存（既存の一時停止は置き換える）
+   */
+  set(tabId, until) {
+    return this.update((snoozes) => {
+      snoozes[tabId] = { until: until, startedAt: Date.now() };
+      return snoozes[tabId];
+    });
+  }
+
+  /**
+   * タブの一時停止を削除（untilMeetingEndOnlyがtrueの場合は「会議が終わるまで」の一時停止だけを削除する）
+   * @returns {Promise<boolean>} 削除した場合はtrue
+   */
+  clear(tabId, untilMeetingEndOnly = false) {
+    return this.update((snoozes) => {
+      const snooze = snoozes[tabId];
+      if (!snooze || (untilMeetingEndOnly && snooze.until !== null)) return false;
+      delete snoozes[tabId];
+      return true;
+    });
+  }
+
+  /**
+   * 既に存在しないタブと、終了時刻を過ぎた一時停止を削除
+   */
+  closeOrphans(openTabIds) {
+    return this.update((snoozes) => {
+      for (const [tabId, snooze] of Object.entries(snoozes)) {
+        if (!openTabIds.includes(Number(tabId)) || (snooze.until !== null && snooze.until <= Date.now())) {
+          delete snoozes[tabId];
+        }
+      }
+    });
+  }
+
+  /**
+   * 一時停止の一覧を読み込み、変更して保存（mutatorがnullかfalseを返した場合は変更なしとして保存しない）
+   */
+  update(mutator) {
+    return this.queue.enqueue(() =>
+      this.read().then((snoozes) => {
+        const result = mutator(snoozes);
+        if (result === null || result === false) return result;
+        return StorageTaskQueue.write("snoozes", snoozes).then(() => result);
+      })
+    );
+  }
+
+  /**
+   * ストレージから一時停止の一覧（タブIDごと）を読み込み
+   */
+  read() {
+    return StorageTaskQueue.read("snoozes", {});
+  }
+}
+
+/**
+ * 通知の種類ごとのボタン（command: タブのcontent scriptに転送する操作, snoozeMinutes: タブを一時停止する時間）
+ */
+const NOTIFICATION_BUTTONS = {
+  "auto-muted": [
+    { title: "元に戻す（ミュート解除）", command: "unmute-now" },
+    { title: "自動ミュートを10分間一時停止", snoozeMinutes: 10 },
+  ],
+  "auto-unmuted": [
+    { title: "元に戻す（ミュート）", command: "mute-now" },
+    { title: "自動ミュートを10分間一時停止", snoozeMinutes: 10 },
+  ],
+};
+
+/**
+ * ツールバーのアイコンとバッジで表示するタブの状態
+ */
+const TAB_STATES = {
+  live: { badge: "ON", color: "#4caf50", title: "監視中（ミュートしていません）", muted: false },
+  "auto-muted": { badge: "AUTO", color: "#ff9800", title: "自動ミュート中", muted: true },
+  snoozed: { badge: "ZZ", color: "#795548", title: "一時停止中", muted: false },
+  "manual-muted": { badge: "MUTE", color: "#607d8b", title: "手動ミュート中", muted: true },
+  disabled: { badge: "OFF", color: "#9e9e9e", title: "無効", muted: false },
+  error: { badge: "!", color: "#f44336", title: "エラー", muted: false },
+  "no-meeting": { badge: "", color: "#667eea", title: "会議に参加していません", muted: false },
+};
+
+/**
+ * エラー状態の原因の表示名
+ */
+const TAB_STATE_ERROR_LABELS = {
+  "no-mic": "マイクを取得できません",
+  "button-not-found": "マイクボタンが見つかりません",
+  "no-response": "マイクボタンの状態が変わりませんでした",
+};
+
+/**
+ * タブごとの状態をchrome.actionのアイコン・バッジ・ツールチップに反映する
+ * 状態はchrome.storage.sessionにも保存し、Service Workerが再起動したら読み込み直す（content scriptは変化したときしか送らないため）
+ */
+class ActionIndicator {
+  constructor() {
+    this.tabStates = new Map(); // タブIDごとの現在の状態（{state, error}）
+    this.iconCache = new Map(); // 状態ごとに描画したアイコン
+    this.flashTimers = new Map(); // タブIDごとの一時表示を元に戻すタイマー
+    this.flashDuration = 1500; // キーボードショートカットの結果を表示する時間（ms）
+    this.ready = this.restore(); // 保存した状態の読み込み（isInMeeting / has の前に待つ）
+  }
+
+  /**
+   * chrome.storage.sessionから状態を読み込み（読み込み中に届いた状態は上書きしない）
+   */
+  restore() {
+    return new Promise((resolve) => {
+      chrome.storage.session.get({ tabStates: {} }, (result) => {
+        if (chrome.runtime.lastError) {
+          console.log("Auto 3s Mute: タブの状態を読み込めませんでした:", chrome.runtime.lastError.message);
+          resolve();
+          return;
+        }
+        for (const [tabId, current] of Object.entries(result.tabStates)) {
+          if (!this.tabStates.has(Number(tabId))) {
+            this.tabStates.set(Number(tabId), current);
+          }
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 状態をchrome.storage.sessionに保存（読み込みが終わってから保存して、読み込み前の状態を消さないようにする）
+   */
+  save() {
+    this.ready.then(() => {
+      chrome.storage.session.set({ tabStates: Object.fromEntries(this.tabStates) }).catch((error) => {
+        console.log("Auto 3s Mute: タブの状態を保存できませんでした:", error);
+      });
+    });
+  }
+
+  /**
+   * タブの状態を表示
+   */
+  set(tabId, state, error = null) {
+    const config = TAB_STATES[state];
+    if (!config) return;
+
+    const previous = this.tabStates.get(tabId);
+    this.tabStates.set(tabId, { state: state, error: error });
+    if (!previous || previous.state !== state || previous.error !== error) {
+      this.save();
+    }
+    const errorLabel = error ? TAB_STATE_ERROR_LABELS[error] || error : null;
+
+    chrome.action.setBadgeText({ tabId: tabId, text: config.badge }).catch(() => {
+      // タブが既に閉じられている場合は無視
+    });
+    chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: config.color }).catch(() => {});
+    chrome.action.setTitle({ tabId: tabId, title: `Auto 3s Mute: ${config.title}${errorLabel ? `（${errorLabel}）` : ""}` }).catch(() => {});
+
+    const imageData = this.getIcon(state);
+    if (imageData) {
+      chrome.action.setIcon({ tabId: tabId, imageData: imageData }).catch(() => {});
+    }
+  }
+
+  /**
+   * キーボードショートカットの結果を一時的にバッジに表示し、その後タブの状態の表示に戻す
+   */
+  flash(tabId, text, color) {
+    clearTimeout(this.flashTimers.get(tabId));
+    chrome.action.setBadgeText({ tabId: tabId, text: text }).catch(() => {});
+    chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: color }).catch(() => {});
+
+    this.flashTimers.set(
+      tabId,
+      setTimeout(async () => {
+        this.flashTimers.delete(tabId);
+        await this.ready;
+        const current = this.tabStates.get(tabId);
+        if (current) {
+          this.set(tabId, current.state, current.error);
+        } else {
+          chrome.action.setBadgeText({ tabId: tabId, text: "" }).catch(() => {});
+        }
+      }, this.flashDuration)
+    );
+  }
+
+  /**
+   * タブが会議に参加中（監視の対象）かどうか（ready の後に呼ぶ）
+   */
+  isInMeeting(tabId) {
+    const current = this.tabStates.get(tabId);
+    return Boolean(current) && current.state !== "no-meeting" && current.state !== "disabled";
+  }
+
+  /**
+   * タブの状態を表示しているかどうか（ready の後に呼ぶ）
+   */
+  has(tabId) {
+    return this.tabStates.has(tabId);
+  }
+
+  /**
+   * タブの状態の記録を削除
+   */
+  remove(tabId) {
+    if (this.tabStates.delete(tabId)) {
+      this.save();
+    }
+  }
+
+  /**
+   * 既に存在しないタブの状態を削除（Service Workerの停止中にタブが閉じられた場合）
+   */
+  closeOrphans(openTabIds) {
+    this.ready.then(() => {
+      for (const tabId of this.tabStates.keys()) {
+        if (!openTabIds.includes(tabId)) {
+          this.remove(tabId);
+        }
+      }
+    });
+  }
+
+  /**
+   * 状態に対応するアイコンを描画（OffscreenCanvasが使えない場合は既定のアイコンのまま）
+   */
+  getIcon(state) {
+    if (typeof OffscreenCanvas === "undefined") return null;
+    if (!this.iconCache.has(state)) {
+      const imageData = {};
+      for (const size of [16, 32]) {
+        imageData[size] = this.drawIcon(size, TAB_STATES[state]);
+      }
+      this.iconCache.set(state, imageData);
+    }
+    return this.iconCache.get(state);
+  }
+
+  /**
+   * 状態の色の円にマイクを描き、ミュート中は斜線を重ねる（icons/icon16.svgと同じ構図）
+   */
+  drawIcon(size, config) {
+    const canvas = new OffscreenCanvas(size, size);
+    const context = canvas.getContext("2d");
+    const scale = size / 16;
+    context.scale(scale, scale);
+
+    context.fillStyle = config.color;
+    context.beginPath();
+    context.arc(8, 8, 7.5, 0, Math.PI * 2);
+    context.fill();
+
+    context.fillStyle = "white";
+    context.fillRect(5.5, 3.5, 5, 7);
+    context.fillRect(7, 10.5, 2, 2);
+    context.fillRect(5.5, 12, 5, 1);
+
+    if (config.muted) {
+      context.strokeStyle = "#b71c1c";
+      context.lineWidth = 1.8;
+      context.lineCap = "round";
+      context.beginPath();
+      context.moveTo(3, 3);
+      context.lineTo(13, 13);
+      context.stroke();
+    }
+
+    return context.getImageData(0, 0, size, size);
+  }
+}
+
+class BackgroundService {
+  constructor() {
+    this.settingsManager = new SettingsManager();
+    this.stats = new StatsStore(); // 統計（chrome.storage.localに永続化）
+    this.sessions = new SessionStore(); // 会議ごとのセッション履歴（chrome.storage.localに永続化）
+    this.indicator = new ActionIndicator(); // タブごとの状態をツールバーのアイコンに表示
+    this.snoozes = new SnoozeStore(); // タブごとの一時停止（chrome.storage.localに永続化）
 
     this.init();
   }
@@ -14,28 +634,69 @@ class BackgroundService {
    * バックグラウンドサービスを初期化
    */
   init() {
-    // メッセージリスナーを設定
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      this.handleMessage(message, sender, sendResponse);
-    });
+    // メッセージリスナーを設定（検証と応答は MessageProtocol が行う）
+    MessageProtocol.listen("background", (message, sender) => this.handleMessage(message, sender));
 
     // 拡張機能のインストール/更新時の処理
     chrome.runtime.onInstalled.addListener((details) => {
       this.handleInstall(details);
     });
 
+    // キーボードショートカット（chrome://extensions/shortcuts で変更可能）
+    chrome.commands.onCommand.addListener((command, tab) => {
+      this.handleCommand(command, tab);
+    });
+
     // タブの更新を監視
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       this.handleTabUpdate(tabId, changeInfo, tab);
     });
 
+    // 通話中のタブが閉じられた場合は退出として扱う
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.endMeeting(tabId);
+      this.indicator.remove(tabId);
+      this.snoozes.clear(tabId);
+      chrome.alarms.clear(`snooze-${tabId}`);
+    });
+
+    // 通知のボタンとクリックは、通知IDに含めたタブに対して処理する（Service Workerが再起動しても対応できる）
+    chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+      this.handleNotificationButton(notificationId, buttonIndex);
+    });
+    chrome.notifications.onClicked.addListener((notificationId) => {
+      this.handleNotificationClick(notificationId);
+    });
+
+    // 一時停止の終了時刻になったら自動ミュートを再開
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name.startsWith("snooze-")) {
+        this.resumeSnooze(Number(alarm.name.slice("snooze-".length)));
+      }
+    });
+
+    // 履歴の保存期間が変更されたら古いセッションを削除
+    this.settingsManager.onChange((changes) => {
+      if ("historyRetentionDays" in changes) {
+        this.pruneSessions();
+      }
+    });
+
+    // Service Workerの停止中に閉じられたタブのセッションを終了し、保存期間を過ぎた履歴を削除
+    chrome.tabs.query({}, (tabs) => {
+      this.sessions.closeOrphans(tabs.map((tab) => tab.id)).then(() => this.pruneSessions());
+      this.snoozes.closeOrphans(tabs.map((tab) => tab.id));
+      this.indicator.closeOrphans(tabs.map((tab) => tab.id));
+    });
+
     console.log("Auto 3s Mute: バックグラウンドサービスが開始されました");
   }
 
   /**
    * メッセージを処理
+   * @returns {*} 応答の結果（Promiseの場合は解決した値を応答する）
    */
-  handleMessage(message, sender, sendResponse) {
+  handleMessage(message, sender) {
     switch (message.type) {
       case "AUTO_MUTED":
         this.handleAutoMuted(message, sender);
@@ -43,67 +704,268 @@ class BackgroundService {
       case "AUTO_UNMUTED":
         this.handleAutoUnmuted(message, sender);
         break;
-      case "GET_STATS":
-        sendResponse(this.stats);
+      case "MANUAL_MUTED":
+        this.handleManualMuted(message, sender);
+        break;
+      case "MANUAL_UNMUTED":
+        this.recordSessionEvent(message, sender);
+        break;
+      case "AUTO_UNMUTE_BLOCKED":
+        this.handleAutoUnmuteBlocked(message, sender);
         break;
+      case "MUTE_ACTION_FAILED":
+        this.handleMuteActionFailed(message, sender);
+        break;
+      case "MEETING_LIFECYCLE":
+        this.handleMeetingLifecycle(message, sender);
+        break;
+      case "SPEAKING_ANALYTICS":
+        if (sender.tab) {
+          this.sessions.setAnalytics(sender.tab.id, message.analytics, message.timestamp);
+        }
+        break;
+      case "GET_STATS":
+        return this.stats.get();
       case "RESET_STATS":
-        this.resetStats();
-        sendResponse({ success: true });
+        return this.resetStats().then(() => ({ success: true }));
+      case "TAB_STATE":
+        if (sender.tab) {
+          this.indicator.set(sender.tab.id, message.state, message.error);
+        }
         break;
+      case "SNOOZE":
+        // ポップアップからはタブIDを指定し、content scriptからは送信元のタブを対象にする
+        return this.snooze(this.getTargetTabId(message, sender), message.minutes);
+      case "RESUME_SNOOZE":
+        return this.resumeSnooze(this.getTargetTabId(message, sender)).then(() => ({ success: true }));
+      case "GET_SNOOZE":
+        return this.snoozes.get(this.getTargetTabId(message, sender));
+      case "GET_SESSIONS":
+        return this.sessions.list();
+      case "DELETE_SESSION":
+        return this.sessions.remove(message.sessionId).then((removed) => ({ success: removed }));
+      case "IMPORT_SESSIONS":
+        return this.settingsManager
+          .load()
+          .then((settings) => this.sessions.merge(message.sessions, settings.historyRetentionDays))
+          .then((result) => {
+            console.log("Auto 3s Mute: 会議の履歴をインポートしました", result);
+            return { success: true, ...result };
+          });
       default:
-        console.log("Auto 3s Mute: 未知のメッセージタイプ:", message.type);
+        // スキーマにはあるがbackgroundでは処理しない種類（MessageProtocol.listen で宛先を確認済みのため通常は到達しない）
+        throw new ProtocolError("unknown-type", `backgroundでは処理できないメッセージタイプです（${message.type}）`);
     }
+    return null;
+  }
+
+  /**
+   * 操作の対象のタブID（メッセージで指定されていなければ送信元のタブ）
+   */
+  getTargetTabId(message, sender) {
+    if (message.tabId !== undefined && message.tabId !== null) return message.tabId;
+    if (sender.tab) return sender.tab.id;
+    throw new ProtocolError("invalid-message", `${message.type} の対象のタブがありません`);
   }
 
   /**
    * 自動ミュート処理
    */
   handleAutoMuted(message, sender) {
-    this.stats.autoMuteCount++;
-    this.stats.lastActivity = new Date().toISOString();
+    this.recordSessionEvent(message, sender);
+    this.stats.increment("autoMuteCount");
 
     console.log("Auto 3s Mute: 自動ミュートが実行されました");
 
-    // 通知を表示（オプション）
-    this.showNotification("自動ミュート", "音声が検出されなくなったため、自動的にミュートしました");
+    // 無音による自動ミュートだけ通知する（通知のボタンやショートカットによる操作は通知しない）
+    if (message.reason === "silence") {
+      this.showNotification("自動ミュート", "音声が検出されなくなったため、自動的にミュートしました", "auto-muted", sender.tab && sender.tab.id);
+    }
   }
 
   /**
    * 自動ミュート解除処理
    */
   handleAutoUnmuted(message, sender) {
-    this.stats.autoUnmuteCount++;
-    this.stats.lastActivity = new Date().toISOString();
+    this.recordSessionEvent(message, sender);
+    this.stats.increment("autoUnmuteCount");
 
-    console.log("Auto 3s Mute: 自動ミュート解除が実行されました");
+    console.log("Auto 3s Mute: 自動ミュート解除が実行されました", message.muteSource ? `(解除前: ${message.muteSource})` : "");
+
+    // 発話による自動ミュート解除だけ通知する（通知のボタンやプロンプトによる操作は通知しない）
+    if (message.reason === "speech") {
+      this.showNotification("自動ミュート解除", "音声が検出されたため、自動的にミュートを解除しました", "auto-unmuted", sender.tab && sender.tab.id);
+    }
+  }
+
+  /**
+   * 手動ミュートの検出処理
+   */
+  handleManualMuted(message, sender) {
+    this.recordSessionEvent(message, sender);
+    this.stats.increment("manualMuteCount");
+
+    console.log("Auto 3s Mute: 手動ミュートが検出されました");
+  }
+
+  /**
+   * 手動ミュートのため自動ミュート解除しなかった場合の処理
+   */
+  handleAutoUnmuteBlocked(message, sender) {
+    this.recordSessionEvent(message, sender);
+    this.stats.increment("blockedUnmuteCount");
+
+    console.log("Auto 3s Mute: 手動ミュート中のため自動ミュート解除を見送りました");
+  }
+
+  /**
+   * 自動ミュート/解除の操作の失敗を処理
+   */
+  handleMuteActionFailed(message, sender) {
+    this.recordSessionEvent(message, sender);
+    this.stats.increment("failedActionCount");
+
+    const actionLabel = message.action === "mute" ? "自動ミュート" : "自動ミュート解除";
+    const errorLabel = message.error === "button-not-found" ? "マイクボタンが見つかりません" : "マイクボタンの状態が変わりませんでした";
+    console.error(`Auto 3s Mute: ${actionLabel}に失敗しました (${message.error})`);
 
     // 通知を表示（オプション）
-    this.showNotification("自動ミュート解除", "音声が検出されたため、自動的にミュートを解除しました");
+    this.showNotification(`${actionLabel}に失敗しました`, `${errorLabel}。Google Meetの画面を確認してください`, "failed", sender.tab && sender.tab.id);
+  }
+
+  /**
+   * 会議画面の状態の変化を処理（通話への参加・退出をセッションとして記録）
+   */
+  handleMeetingLifecycle(message, sender) {
+    const tabId = sender.tab ? sender.tab.id : null;
+    if (tabId === null) return;
+
+    console.log(`Auto 3s Mute: 会議の状態が変化しました (タブ ${tabId}: ${message.previousState} → ${message.state})`);
+
+    if (message.previousState === "in-call") {
+      this.leaveMeeting(tabId, message.timestamp);
+    }
+    if (message.state === "in-call") {
+      this.sessions.start(tabId, message.meetingCode, message.timestamp).then(() => {
+        console.log(`Auto 3s Mute: 会議に参加しました (${message.meetingCode})`);
+      });
+    }
+  }
+
+  /**
+   * タブの自動ミュートを一時停止（minutesがnullの場合は会議が終わるまで）
+   */
+  async snooze(tabId, minutes) {
+    const until = minutes ? Date.now() + minutes * 60 * 1000 : null;
+    const snooze = await this.snoozes.set(tabId, until);
+
+    // 終了時刻に自動で再開する（Service Workerが停止していてもアラームで起動される）
+    chrome.alarms.clear(`snooze-${tabId}`);
+    if (until !== null) {
+      chrome.alarms.create(`snooze-${tabId}`, { when: until });
+    }
+
+    console.log(`Auto 3s Mute: タブ ${tabId} の自動ミュートを一時停止しました (${minutes ? `${minutes}分` : "会議が終わるまで"})`);
+    this.sendSnoozeState(tabId, snooze);
+    return snooze;
+  }
+
+  /**
+   * タブの一時停止を終了して自動ミュートを再開
+   */
+  async resumeSnooze(tabId, untilMeetingEndOnly = false) {
+    const removed = await this.snoozes.clear(tabId, untilMeetingEndOnly);
+    if (!removed) return;
+
+    chrome.alarms.clear(`snooze-${tabId}`);
+    console.log(`Auto 3s Mute: タブ ${tabId} の自動ミュートを再開しました`);
+    this.sendSnoozeState(tabId, null);
+  }
+
+  /**
+   * 一時停止の状態をタブのcontent scriptに送る
+   */
+  sendSnoozeState(tabId, snooze) {
+    MessageProtocol.send("SNOOZE_STATE", { snooze: snooze }, { tabId: tabId }).catch(() => {
+      // content scriptがまだ読み込まれていない場合は、読み込み後に GET_SNOOZE で取得される
+    });
+  }
+
+  /**
+   * タブの会議からの退出を処理（「会議が終わるまで」の一時停止は退出と同時に終了する）
+   */
+  leaveMeeting(tabId, leftAt = Date.now()) {
+    this.endMeeting(tabId, leftAt);
+    this.resumeSnooze(tabId, true);
+  }
+
+  /**
+   * タブの会議から退出したことを記録
+   */
+  endMeeting(tabId, leftAt = Date.now()) {
+    this.sessions.end(tabId, leftAt).then((session) => {
+      if (!session) return;
+
+      const minutes = ((session.leftAt - session.joinedAt) / 60000).toFixed(1);
+      console.log(`Auto 3s Mute: 会議から退出しました (${session.meetingCode}, ${minutes}分)`);
+      this.pruneSessions();
+    });
+  }
+
+  /**
+   * ミュート/ミュート解除のイベントを、タブで記録中のセッションに追加
+   */
+  recordSessionEvent(message, sender) {
+    if (!sender.tab) return;
+
+    const event = {
+      time: message.timestamp || Date.now(),
+      type: message.type,
+      reason: message.reason || null,
+    };
+    if (message.method) event.method = message.method;
+    if (message.error) event.error = message.error;
+    this.sessions.addEvent(sender.tab.id, event);
+  }
+
+  /**
+   * 保存期間を過ぎたセッションを削除
+   */
+  pruneSessions() {
+    this.settingsManager.load().then((settings) => {
+      this.sessions.prune(settings.historyRetentionDays).then((removed) => {
+        if (removed > 0) {
+          console.log(`Auto 3s Mute: 保存期間を過ぎた履歴を${removed}件削除しました`);
+        }
+      });
+    });
   }
 
   /**
    * 通知を表示
    */
-  showNotification(title, message) {
+  showNotification(title, message, kind = null, tabId = null) {
     // 通知の設定を確認
-    chrome.storage.sync.get(["showNotifications"], (result) => {
-      if (result.showNotifications !== false) {
+    this.settingsManager.load().then((settings) => {
+      if (settings.showNotifications) {
         // 通知APIが利用可能かチェック
         if (chrome.notifications && chrome.notifications.create) {
           try {
             // 必要なプロパティをすべて含めて通知を作成
             chrome.notifications.create(
+              this.createNotificationId(kind, tabId),
               {
                 type: "basic",
                 iconUrl: "icons/icon48.svg", // アイコンファイルを指定
                 title: title,
                 message: message,
+                buttons: this.getNotificationButtons(kind, tabId),
               },
               (notificationId) => {
                 if (chrome.runtime.lastError) {
                   console.log("Auto 3s Mute: 通知の作成に失敗しました:", chrome.runtime.lastError);
                   // アイコンなしで再試行
-                  this.showNotificationWithoutIcon(title, message);
+                  this.showNotificationWithoutIcon(title, message, kind, tabId);
                 } else {
                   console.log("Auto 3s Mute: 通知が表示されました:", notificationId);
                 }
@@ -125,13 +987,15 @@ class BackgroundService {
   /**
    * アイコンなしで通知を表示（フォールバック）
    */
-  showNotificationWithoutIcon(title, message) {
+  showNotificationWithoutIcon(title, message, kind = null, tabId = null) {
     try {
       chrome.notifications.create(
+        this.createNotificationId(kind, tabId),
         {
           type: "basic",
           title: title,
           message: message,
+          buttons: this.getNotificationButtons(kind, tabId),
         },
         (notificationId) => {
           if (chrome.runtime.lastError) {
@@ -149,16 +1013,80 @@ class BackgroundService {
     }
   }
 
+  /**
+   * 通知IDを作成（ボタンの操作先が分かるよう、通知の種類とタブIDを含める）
+   */
+  createNotificationId(kind, tabId) {
+    return `auto-3s-mute:${kind || "info"}:${tabId === null || tabId === undefined ? "" : tabId}:${Date.now()}`;
+  }
+
+  /**
+   * 通知IDから通知の種類とタブIDを取り出す
+   * @returns {{kind: string, tabId: number|null}|null}
+   */
+  parseNotificationId(notificationId) {
+    const [prefix, kind, tabId] = notificationId.split(":");
+    if (prefix !== "auto-3s-mute") return null;
+    return { kind: kind, tabId: tabId ? Number(tabId) : null };
+  }
+
+  /**
+   * 通知に表示するボタン（操作先のタブが分からない場合は表示しない）
+   */
+  getNotificationButtons(kind, tabId) {
+    if (tabId === null || tabId === undefined || !NOTIFICATION_BUTTONS[kind]) return undefined;
+    return NOTIFICATION_BUTTONS[kind].map((button) => ({ title: button.title }));
+  }
+
+  /**
+   * 通知のボタンの操作を、通知を表示したタブに転送
+   */
+  async handleNotificationButton(notificationId, buttonIndex) {
+    const target = this.parseNotificationId(notificationId);
+    chrome.notifications.clear(notificationId);
+    if (!target || target.tabId === null) return;
+
+    const button = (NOTIFICATION_BUTTONS[target.kind] || [])[buttonIndex];
+    if (!button) return;
+
+    if (button.snoozeMinutes) {
+      await this.snooze(target.tabId, button.snoozeMinutes);
+      this.indicator.flash(target.tabId, "ZZ", "#795548");
+      return;
+    }
+
+    let result;
+    try {
+      result = await MessageProtocol.send("COMMAND", { command: button.command, reason: "notification" }, { tabId: target.tabId });
+    } catch (error) {
+      // タブが閉じられた、content scriptが読み込まれていない、または時間切れの場合
+      result = { success: false, error: error.code };
+    }
+    console.log(`Auto 3s Mute: 通知のボタンから ${button.command} を実行しました`, result);
+    this.showCommandFeedback(target.tabId, button.command, result || { success: false });
+  }
+
+  /**
+   * 通知のクリックで、通知を表示したタブを前面に表示
+   */
+  handleNotificationClick(notificationId) {
+    const target = this.parseNotificationId(notificationId);
+    chrome.notifications.clear(notificationId);
+    if (!target || target.tabId === null) return;
+
+    chrome.tabs.update(target.tabId, { active: true }, (tab) => {
+      if (chrome.runtime.lastError || !tab) return;
+      chrome.windows.update(tab.windowId, { focused: true });
+    });
+  }
+
   /**
    * 統計をリセット
    */
   resetStats() {
-    this.stats = {
-      autoMuteCount: 0,
-      autoUnmuteCount: 0,
-      lastActivity: null,
-    };
-    console.log("Auto 3s Mute: 統計をリセットしました");
+    return this.stats.reset().then(() => {
+      console.log("Auto 3s Mute: 統計をリセットしました");
+    });
   }
 
   /**
@@ -166,40 +1094,115 @@ class BackgroundService {
    */
   handleInstall(details) {
     if (details.reason === "install") {
-      // 初回インストール時のデフォルト設定
-      chrome.storage.sync.set({
-        volumeThreshold: 0.01,
-        silenceDuration: 3,
-        enabled: true,
-        showNotifications: false, // デフォルトで通知を無効化
-      });
+      // 初回インストール時のデフォルト設定（通知はデフォルトで無効）
+      this.settingsManager.save(SettingsManager.getDefaults());
 
       console.log("Auto 3s Mute: 拡張機能がインストールされました");
     } else if (details.reason === "update") {
       console.log("Auto 3s Mute: 拡張機能が更新されました");
+      this.settingsManager.migrate();
+    }
+  }
+
+  /**
+   * キーボードショートカットをGoogle Meetのタブに転送し、結果をバッジに表示
+   */
+  async handleCommand(command, activeTab) {
+    const tab = await this.findCommandTab();
+    const feedbackTabId = tab ? tab.id : activeTab && activeTab.id;
+
+    // Meetのタブがない場合も有効/無効は切り替えられるようにする
+    if (!tab) {
+      if (command === "toggle-enabled") {
+        const settings = await this.settingsManager.load();
+        await this.settingsManager.save({ enabled: !settings.enabled });
+        this.showCommandFeedback(feedbackTabId, command, { success: true, enabled: !settings.enabled });
+      } else {
+        console.log(`Auto 3s Mute: Google Meetのタブがないため ${command} を実行できません`);
+        this.showCommandFeedback(feedbackTabId, command, { success: false, error: "no-meet-tab" });
+      }
+      return;
+    }
+
+    let result;
+    try {
+      result = await MessageProtocol.send("COMMAND", { command: command }, { tabId: tab.id });
+    } catch (error) {
+      // content scriptが読み込まれていない、または時間切れの場合
+      result = { success: false, error: error.code };
+    }
+    console.log(`Auto 3s Mute: キーボードショートカット ${command} を実行しました`, result);
+    this.showCommandFeedback(feedbackTabId, command, result || { success: false });
+  }
+
+  /**
+   * キーボードショートカットの送り先のタブを探す（会議中のアクティブなタブ → 会議中のタブ → アクティブなMeetのタブ → Meetのタブ）
+   */
+  async findCommandTab() {
+    // Service Workerの再起動直後は保存したタブの状態を読み込んでから判定する
+    await this.indicator.ready;
+    return new Promise((resolve) => {
+      chrome.tabs.query({ url: "https://meet.google.com/*" }, (tabs) => {
+        const inMeeting = (tab) => this.indicator.isInMeeting(tab.id);
+        resolve(tabs.find((tab) => tab.active && inMeeting(tab)) || tabs.find(inMeeting) || tabs.find((tab) => tab.active) || tabs[0] || null);
+      });
+    });
+  }
+
+  /**
+   * キーボードショートカットの結果をバッジに表示
+   */
+  showCommandFeedback(tabId, command, result) {
+    if (tabId === undefined) return;
+    if (!result.success) {
+      this.indicator.flash(tabId, "ERR", "#f44336");
+      return;
+    }
+
+    switch (command) {
+      case "toggle-enabled":
+        this.indicator.flash(tabId, result.enabled ? "ON" : "OFF", result.enabled ? "#4caf50" : "#9e9e9e");
+        break;
+      case "mute-now":
+        this.indicator.flash(tabId, "MUTE", "#ff9800");
+        break;
+      case "unmute-now":
+        this.indicator.flash(tabId, "ON", "#4caf50");
+        break;
+      case "pause-auto-unmute":
+        this.indicator.flash(tabId, "II", "#ff9800");
+        break;
+      case "resume-auto-unmute":
+        this.indicator.flash(tabId, "ON", "#4caf50");
+        break;
     }
   }
 
   /**
    * タブ更新の処理
    */
-  handleTabUpdate(tabId, changeInfo, tab) {
+  async handleTabUpdate(tabId, changeInfo, tab) {
+    // Google Meetのタブが別のページに移動した場合は会議から退出したものとして扱い、会議なしの表示に戻す
+    // （Meet以外のタブの移動ではストレージを読み書きしない）
+    if (changeInfo.url && !changeInfo.url.startsWith("https://meet.google.com/")) {
+      await this.indicator.ready;
+      if (this.indicator.has(tabId)) {
+        this.leaveMeeting(tabId);
+        this.indicator.set(tabId, "no-meeting");
+      }
+    }
+
     // Google Meetページが読み込まれた場合
     if (changeInfo.status === "complete" && tab.url && tab.url.includes("meet.google.com")) {
       console.log("Auto 3s Mute: Google Meetページが検出されました");
 
       // 設定が有効かどうか確認
-      chrome.storage.sync.get(["enabled"], (result) => {
-        if (result.enabled) {
+      this.settingsManager.load().then((settings) => {
+        if (settings.enabled) {
           // content scriptに設定を送信
-          chrome.tabs
-            .sendMessage(tabId, {
-              type: "SETTINGS_UPDATE",
-              settings: result,
-            })
-            .catch(() => {
-              // content scriptがまだ読み込まれていない場合は無視
-            });
+          MessageProtocol.send("SETTINGS_UPDATE", { settings: settings }, { tabId: tabId }).catch(() => {
+            // content scriptがまだ読み込まれていない場合は無視
+          });
         }
       });
     }
@@ -1,21 +1,935 @@
 // Google Meetページでマイクの音声レベルを監視するcontent script
+
+/**
+ * 環境ノイズフロアの推定
+ * 直近の一定時間のレベルの下位パーセンタイルをノイズフロアとみなす（発話区間の影響を受けにくい）
+ */
+class NoiseFloorTracker {
+  constructor(windowSeconds = 15, percentile = 0.2, minSamples = 20) {
+    this.windowSeconds = windowSeconds; // 推定に使う期間（秒）
+    this.percentile = percentile; // ノイズフロアとみなすパーセンタイル
+    this.minSamples = minSamples; // 推定値を有効とみなす最小サンプル数
+    this.samples = [];
+    this.noiseFloorDb = null;
+  }
+
+  /**
+   * レベルを追加してノイズフロアを更新
+   */
+  update(levelDb, time) {
+    this.samples.push({ levelDb: levelDb, time: time });
+
+    // 推定期間より古いサンプルを破棄
+    while (this.samples.length > 0 && time - this.samples[0].time > this.windowSeconds) {
+      this.samples.shift();
+    }
+
+    if (this.samples.length < this.minSamples) {
+      this.noiseFloorDb = null;
+      return;
+    }
+
+    const sorted = this.samples.map((sample) => sample.levelDb).sort((a, b) => a - b);
+    this.noiseFloorDb = sorted[Math.floor((sorted.length - 1) * this.percentile)];
+  }
+
+  /**
+   * ノイズフロアの推定値が利用可能かどうか
+   */
+  isReady() {
+    return this.noiseFloorDb !== null;
+  }
+
+  /**
+   * 推定をリセット
+   */
+  reset() {
+    this.samples = [];
+    this.noiseFloorDb = null;
+  }
+}
+
+/**
+ * 開始/終了の2つの閾値と保持時間で発話区間を判定するゲート
+ * 息継ぎや短い物音で発話/無音が頻繁に切り替わらないようにする
+ */
+class SpeechGate {
+  constructor() {
+    this.state = "silence"; // "silence" | "onset"（発話開始待ち）| "speech" | "hang"（発話終了後の保持）
+    this.onsetStartTime = null; // 開始閾値を超え始めたフレームの時刻
+    this.hangStartTime = null; // 終了閾値を下回り始めたフレームの時刻
+    this.speechStartTime = null; // 現在の発話区間が始まった時刻
+    this.silenceStartTime = null; // 無音のカウントを開始した時刻
+    this.silenceDuration = 0; // 無音状態の継続時間（秒）
+  }
+
+  /**
+   * 解析フレームで状態を更新
+   * @param {Object} frame AudioWorkletの解析結果（time, duration, levelDb, isVoice）
+   * @param {Object} params openThresholdDb, closeThresholdDb, minSpeechDuration（秒）, hangTime（秒）
+   */
+  update(frame, params) {
+    const frameStartTime = frame.time - frame.duration;
+    const isAboveOpen = frame.isVoice && frame.levelDb >= params.openThresholdDb;
+    const isAboveClose = frame.isVoice && frame.levelDb >= params.closeThresholdDb;
+
+    switch (this.state) {
+      case "silence":
+        if (isAboveOpen) {
+          this.state = "onset";
+          this.onsetStartTime = frameStartTime;
+        }
+        break;
+      case "onset":
+        if (!isAboveClose) {
+          // 最短発話時間に満たない音は無視し、無音のカウントも継続する
+          this.state = "silence";
+          this.onsetStartTime = null;
+        } else if (frame.time - this.onsetStartTime >= params.minSpeechDuration) {
+          this.state = "speech";
+          this.speechStartTime = this.onsetStartTime;
+        }
+        break;
+      case "speech":
+        if (!isAboveClose) {
+          this.state = "hang";
+          this.hangStartTime = frameStartTime;
+        }
+        break;
+      case "hang":
+        if (isAboveClose) {
+          this.state = "speech";
+          this.hangStartTime = null;
+        } else if (frame.time - this.hangStartTime >= params.hangTime) {
+          // 保持時間が過ぎてから無音のカウントを開始する
+          this.state = "silence";
+          this.hangStartTime = null;
+          this.speechStartTime = null;
+          this.silenceStartTime = frame.time;
+        }
+        break;
+    }
+
+    if (this.isSpeech()) {
+      this.silenceStartTime = null;
+      this.silenceDuration = 0;
+    } else {
+      if (this.silenceStartTime === null) {
+        this.silenceStartTime = frameStartTime;
+      }
+      this.silenceDuration = frame.time - this.silenceStartTime;
+    }
+  }
+
+  /**
+   * 発話中とみなす状態かどうか（発話中・保持中）
+   */
+  isSpeech() {
+    return this.state === "speech" || this.state === "hang";
+  }
+
+  /**
+   * 状態をリセット
+   */
+  reset() {
+    this.state = "silence";
+    this.onsetStartTime = null;
+    this.hangStartTime = null;
+    this.speechStartTime = null;
+    this.silenceStartTime = null;
+    this.silenceDuration = 0;
+  }
+}
+
+/**
+ * Meetの画面上に操作の提案を表示するプロンプト
+ */
+class ActionPrompt {
+  constructor() {
+    this.element = null;
+    this.kind = null; // 表示中の提案の種類
+    this.hideTimer = null;
+    this.keydownHandler = null;
+  }
+
+  /**
+   * 提案を表示（同じ種類の提案を表示中の場合は何もしない）
+   * @param {Object} options timeout（ms）, shortcut（{ label, matches(event) }）, onIgnore（閉じられた・時間切れのときに呼ぶ）
+   */
+  show(kind, message, actionLabel, onAction, options = {}) {
+    if (this.kind === kind) return;
+    this.hide();
+
+    const { timeout = 8000, shortcut = null, onIgnore = null } = options;
+    const accept = () => {
+      this.hide();
+      onAction();
+    };
+    const ignore = () => {
+      this.hide();
+      if (onIgnore) onIgnore();
+    };
+
+    this.kind = kind;
+    this.element = document.createElement("div");
+    this.element.innerHTML = `
+        <div style="position: fixed; bottom: 96px; left: 50%; transform: translateX(-50%); display: flex; align-items: center; gap: 12px; background: rgba(32,33,36,0.95); color: white; padding: 12px 16px; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.3); font-family: sans-serif; font-size: 14px; z-index: 10001;">
+          <span>${message}</span>
+          <button data-action="accept" style="background: #8ab4f8; color: #202124; border: none; padding: 6px 12px; border-radius: 4px; font-weight: bold; cursor: pointer;">${actionLabel}${shortcut ? ` <span style="font-weight: normal; opacity: 0.7;">(${shortcut.label})</span>` : ""}</button>
+          <button data-action="dismiss" style="background: none; color: #ccc; border: none; font-size: 16px; cursor: pointer;">✕</button>
+        </div>
+      `;
+    this.element.querySelector('[data-action="accept"]').addEventListener("click", accept);
+    this.element.querySelector('[data-action="dismiss"]').addEventListener("click", ignore);
+    document.body.appendChild(this.element);
+
+    // 表示中だけキーボードショートカットを受け付ける（Meetのショートカットより先に処理する）
+    if (shortcut) {
+      this.keydownHandler = (event) => {
+        if (shortcut.matches(event)) {
+          event.preventDefault();
+          event.stopPropagation();
+          accept();
+        }
+      };
+      document.addEventListener("keydown", this.keydownHandler, true);
+    }
+
+    this.hideTimer = setTimeout(ignore, timeout);
+  }
+
+  /**
+   * 指定した種類の提案を表示中かどうか
+   */
+  isShowing(kind) {
+    return this.kind === kind;
+  }
+
+  /**
+   * 提案を閉じる（種類を指定した場合はその提案を表示中のときだけ閉じる）
+   */
+  hide(kind) {
+    if (kind && this.kind !== kind) return;
+
+    clearTimeout(this.hideTimer);
+    this.hideTimer = null;
+    if (this.keydownHandler) {
+      document.removeEventListener("keydown", this.keydownHandler, true);
+      this.keydownHandler = null;
+    }
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+    this.kind = null;
+  }
+}
+
+/**
+ * 一時停止中であることと残り時間をページの隅に小さく表示する
+ */
+class PausedIndicator {
+  constructor() {
+    this.element = null;
+    this.timer = null; // 残り時間の表示を更新するタイマー
+  }
+
+  /**
+   * 表示（untilがnullの場合は会議が終わるまで、時刻を過ぎたら閉じてonExpireを呼ぶ）
+   */
+  show(until, onResume, onExpire) {
+    this.hide();
+
+    this.element = document.createElement("div");
+    this.element.innerHTML = `
+        <div style="position: fixed; bottom: 96px; left: 16px; display: flex; align-items: center; gap: 8px; background: rgba(32,33,36,0.9); color: white; padding: 6px 10px; border-radius: 16px; box-shadow: 0 2px 8px rgba(0,0,0,0.3); font-family: sans-serif; font-size: 12px; z-index: 10000;">
+          <span>⏸ 自動ミュートを一時停止中<span data-role="remaining"></span></span>
+          <button data-action="resume" style="background: none; color: #8ab4f8; border: none; padding: 0; font-size: 12px; cursor: pointer;">再開</button>
+        </div>
+      `;
+    this.element.querySelector('[data-action="resume"]').addEventListener("click", onResume);
+    document.body.appendChild(this.element);
+
+    const remaining = this.element.querySelector('[data-role="remaining"]');
+    if (until === null) {
+      remaining.textContent = "（この会議が終わるまで）";
+      return;
+    }
+
+    const update = () => {
+      const seconds = Math.ceil((until - Date.now()) / 1000);
+      if (seconds <= 0) {
+        this.hide();
+        onExpire();
+        return;
+      }
+      remaining.textContent = `（残り ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}）`;
+    };
+    update();
+    this.timer = setInterval(update, 1000);
+  }
+
+  /**
+   * 閉じる
+   */
+  hide() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+}
+
+/**
+ * 自動ミュートの直前に残り秒数を表示し、クリックまたはキー入力でキャンセルできるピル
+ */
+class MuteCountdown {
+  constructor() {
+    this.element = null;
+    this.seconds = null; // 表示中の残り秒数
+    this.onCancel = null;
+    this.cancelHandler = null;
+  }
+
+  /**
+   * 残り秒数を表示（表示中の場合は秒数だけを更新する）
+   * @param {Object} options position（"bottom-center" | "bottom-left" | "bottom-right" | "top-center"）, size（"small" | "medium" | "large"）
+   */
+  show(seconds, onCancel, options = {}) {
+    this.onCancel = onCancel;
+    if (this.element) {
+      if (this.seconds !== seconds) {
+        this.seconds = seconds;
+        this.element.querySelector('[data-role="seconds"]').textContent = seconds;
+      }
+      return;
+    }
+
+    const positions = {
+      "bottom-center": "bottom: 140px; left: 50%; transform: translateX(-50%);",
+      "bottom-left": "bottom: 140px; left: 16px;",
+      "bottom-right": "bottom: 140px; right: 16px;",
+      "top-center": "top: 16px; left: 50%; transform: translateX(-50%);",
+    };
+    const fontSizes = { small: 12, medium: 15, large: 20 };
+    const fontSize = fontSizes[options.size] || fontSizes.medium;
+
+    this.seconds = seconds;
+    this.element = document.createElement("div");
+    this.element.innerHTML = `
+        <div style="position: fixed; ${positions[options.position] || positions["bottom-center"]} display: flex; align-items: baseline; gap: 8px; background: rgba(255,152,0,0.95); color: #202124; padding: ${fontSize / 2}px ${fontSize}px; border-radius: ${fontSize * 2}px; box-shadow: 0 2px 8px rgba(0,0,0,0.3); font-family: sans-serif; font-size: ${fontSize}px; cursor: pointer; z-index: 10002;">
+          <span style="font-weight: bold;"><span data-role="seconds">${seconds}</span>秒後にミュートします…</span>
+          <span style="font-size: ${Math.round(fontSize * 0.75)}px; opacity: 0.8;">クリックまたはキー入力でキャンセル</span>
+        </div>
+      `;
+    this.cancelHandler = (event) => {
+      // 自動ミュートで送る合成キーイベントと、チャットなどの文字入力ではキャンセルしない
+      if (!event.isTrusted) return;
+      if (event.type === "keydown" && MuteCountdown.isTextInput(event.target)) return;
+      const cancel = this.onCancel;
+      this.hide();
+      if (cancel) cancel();
+    };
+    this.element.addEventListener("click", this.cancelHandler);
+    // Meetのショートカットやチャットの入力は妨げない
+    document.addEventListener("keydown", this.cancelHandler, true);
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * キー入力の対象が文字入力欄（input / textarea / contenteditable）かどうか
+   */
+  static isTextInput(target) {
+    if (!(target instanceof Element)) return false;
+    return target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+  }
+
+  /**
+   * 表示中かどうか
+   */
+  isShowing() {
+    return this.element !== null;
+  }
+
+  /**
+   * 閉じる
+   */
+  hide() {
+    if (this.cancelHandler) {
+      document.removeEventListener("keydown", this.cancelHandler, true);
+      this.cancelHandler = null;
+    }
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+    this.seconds = null;
+    this.onCancel = null;
+  }
+}
+
+/**
+ * マイクボタンの言語別ラベル（構造的な手がかりで判定できない場合のフォールバック、小文字で比較する）
+ * turnOff: マイクがオンのときの「オフにする」操作のラベル / turnOn: ミュート中の「オンにする」操作のラベル
+ */
+const MIC_BUTTON_LABELS = {
+  ja: { microphone: ["マイク"], camera: ["カメラ"], turnOff: ["マイクをオフ"], turnOn: ["マイクをオン"] },
+  en: { microphone: ["microphone"], camera: ["camera"], turnOff: ["turn off microphone"], turnOn: ["turn on microphone"] },
+  de: { microphone: ["mikrofon"], camera: ["kamera"], turnOff: ["mikrofon deaktivieren", "mikrofon ausschalten"], turnOn: ["mikrofon aktivieren", "mikrofon einschalten"] },
+  fr: { microphone: ["micro"], camera: ["caméra"], turnOff: ["désactiver le micro"], turnOn: ["activer le micro"] },
+  es: { microphone: ["micrófono"], camera: ["cámara"], turnOff: ["desactivar el micrófono", "desactivar micrófono"], turnOn: ["activar el micrófono", "activar micrófono"] },
+  pt: { microphone: ["microfone"], camera: ["câmera", "câmara"], turnOff: ["desativar o microfone", "desativar microfone"], turnOn: ["ativar o microfone", "ativar microfone"] },
+  it: { microphone: ["microfono"], camera: ["fotocamera", "videocamera"], turnOff: ["disattiva il microfono", "disattiva microfono"], turnOn: ["attiva il microfono", "attiva microfono"] },
+  ko: { microphone: ["마이크"], camera: ["카메라"], turnOff: ["마이크 끄기"], turnOn: ["마이크 켜기"] },
+  zh: { microphone: ["麦克风", "麥克風"], camera: ["摄像头", "攝影機", "相机", "相機"], turnOff: ["关闭麦克风", "關閉麥克風"], turnOn: ["开启麦克风", "打开麦克风", "開啟麥克風"] },
+};
+
+/**
+ * Google Meetのマイクボタンを監視し、ミュート状態の変化を通知する
+ * ボタンは一度だけ検索し、以降はMutationObserverで属性の変化とツールバーの再描画を監視する
+ */
+class MicButtonWatcher {
+  constructor() {
+    this.button = null; // 監視中のマイクボタン
+    this.isMuted = null; // ボタンが見つかっていない間はnull
+    this.listeners = [];
+    this.waiters = []; // 特定の状態になるのを待っている呼び出し元
+    this.buttonObserver = null; // ボタンの属性（data-is-muted / aria-label）の変化を監視
+    this.documentObserver = null; // ボタンの追加・削除（ツールバーの再描画）を監視
+    this.reacquireTimer = null;
+    this.reacquireDelay = 200; // DOMの変化が落ち着いてからボタンを再検索するまでの時間（ms）
+  }
+
+  /**
+   * ミュート状態の変化を購読（ボタンを見失った場合はnullを通知する）
+   */
+  onMuteStateChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * ボタンが指定したミュート状態になるまで待つ
+   * @returns {Promise<boolean>} 時間内に指定した状態になった場合はtrue
+   */
+  waitForMuteState(isMuted, timeout) {
+    if (this.isMuted === isMuted) return Promise.resolve(true);
+
+    return new Promise((resolve) => {
+      const waiter = { isMuted, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter((item) => item !== waiter);
+        resolve(false);
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * 監視を開始
+   */
+  start() {
+    if (this.documentObserver) return;
+
+    // ボタンが未検出、またはDOMから外れた場合だけ再検索する
+    this.documentObserver = new MutationObserver(() => {
+      if (!this.button || !this.button.isConnected) {
+        this.scheduleReacquire();
+      }
+    });
+    this.documentObserver.observe(document.body, { childList: true, subtree: true });
+    this.acquire();
+  }
+
+  /**
+   * 監視を停止
+   */
+  stop() {
+    if (this.documentObserver) {
+      this.documentObserver.disconnect();
+      this.documentObserver = null;
+    }
+    if (this.buttonObserver) {
+      this.buttonObserver.disconnect();
+      this.buttonObserver = null;
+    }
+    clearTimeout(this.reacquireTimer);
+    this.reacquireTimer = null;
+    this.button = null;
+    this.isMuted = null;
+    for (const waiter of this.waiters) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(false);
+    }
+    this.waiters = [];
+  }
+
+  /**
+   * ボタンの再検索を予約（短時間に続くDOMの変化はまとめて1回にする）
+   */
+  scheduleReacquire() {
+    if (this.reacquireTimer) return;
+    this.reacquireTimer = setTimeout(() => {
+      this.reacquireTimer = null;
+      this.acquire();
+    }, this.reacquireDelay);
+  }
+
+  /**
+   * マイクボタンを検索し、見つかったボタンの属性の監視を開始
+   */
+  acquire() {
+    const button = this.findMuteButton();
+    if (button !== this.button) {
+      if (this.buttonObserver) {
+        this.buttonObserver.disconnect();
+        this.buttonObserver = null;
+      }
+
+      if (button) {
+        console.log("Auto 3s Mute: マイクボタンの監視を開始しました", button.getAttribute("aria-label"));
+        this.buttonObserver = new MutationObserver(() => this.updateState());
+        this.buttonObserver.observe(button, { attributes: true, attributeFilter: ["data-is-muted", "aria-label"] });
+      } else if (this.button) {
+        console.log("Auto 3s Mute: マイクボタンを見失いました。再表示を待ちます");
+      }
+      this.button = button;
+    }
+    this.updateState();
+  }
+
+  /**
+   * ボタンの状態を読み取り、変化していれば通知
+   */
+  updateState() {
+    const isMuted = this.button ? this.isButtonMuted(this.button) : null;
+    if (isMuted === this.isMuted) return;
+
+    const previous = this.isMuted;
+    this.isMuted = isMuted;
+    for (const listener of this.listeners) {
+      listener(isMuted, previous);
+    }
+
+    const resolved = this.waiters.filter((waiter) => waiter.isMuted === isMuted);
+    this.waiters = this.waiters.filter((waiter) => waiter.isMuted !== isMuted);
+    for (const waiter of resolved) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(true);
+    }
+  }
+
+  /**
+   * マイクボタンを検索（言語に依存しない手がかりを優先し、言語別ラベルはフォールバックとしてのみ使う）
+   */
+  findMuteButton() {
+    const candidates = Array.from(document.querySelectorAll('[data-is-muted], [jsname="hw0c9"]'));
+
+    // jsname・アイコン・ショートカット表記でマイクと判定できる候補
+    const unidentified = [];
+    for (const element of candidates) {
+      const kind = this.identifyControl(element);
+      if (kind === "microphone") return element;
+      if (kind === null) unidentified.push(element);
+    }
+
+    // ツールバーの位置で推定（Meetのツールバーではマイクがカメラより前に並ぶ）
+    if (candidates.length >= 2 && unidentified[0] === candidates[0] && this.matchLocaleLabel(candidates[0]) !== "other") {
+      return candidates[0];
+    }
+
+    // 言語別ラベルで判定（フォールバック）
+    for (const element of [...unidentified, ...document.querySelectorAll("button[aria-label]")]) {
+      if (this.matchLocaleLabel(element) === "microphone") return element;
+    }
+
+    return null;
+  }
+
+  /**
+   * 言語に依存しない手がかりでコントロールの種類を判定
+   * @returns {"microphone"|"other"|null} 判定できない場合はnull
+   */
+  identifyControl(element) {
+    const jsname = element.getAttribute("jsname");
+    if (jsname === "hw0c9") return "microphone"; // マイクボタンのjsname
+    if (jsname === "psRWwc") return "other"; // カメラボタンのjsname
+
+    // Material Iconsのアイコン名（mic / mic_off など）
+    const iconName = this.getIconName(element);
+    if (iconName) {
+      return /^mic(_off|_none)?$/.test(iconName) ? "microphone" : "other";
+    }
+
+    // ショートカット表記（マイクはCtrl+D / ⌘+D、カメラはCtrl+E / ⌘+E）
+    const shortcutKey = this.getShortcutKey(element);
+    if (shortcutKey) {
+      return shortcutKey === "d" ? "microphone" : "other";
+    }
+
+    return null;
+  }
+
+  /**
+   * ボタン内のアイコン名（Material Iconsのリガチャ）を取得
+   */
+  getIconName(element) {
+    const icon = element.querySelector("i, .google-material-icons, .material-icons-extended");
+    const iconName = icon ? icon.textContent.trim() : "";
+    return /^[a-z_]+$/.test(iconName) ? iconName : null;
+  }
+
+  /**
+   * aria-labelやツールチップに含まれるショートカットのキーを取得（例: "(ctrl + d)" → "d"）
+   */
+  getShortcutKey(element) {
+    const text = [element.getAttribute("aria-label"), element.getAttribute("data-tooltip"), element.getAttribute("title")].filter(Boolean).join(" ");
+    const match = text.match(/(?:ctrl|strg|cmd|⌘)\s*\+?\s*([a-z])(?![a-z])/i);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  /**
+   * 言語別のラベルでコントロールの種類を判定（フォールバック）
+   * @returns {"microphone"|"other"|null} 判定できない場合はnull
+   */
+  matchLocaleLabel(element) {
+    const label = (element.getAttribute("aria-label") || element.getAttribute("data-tooltip") || "").toLowerCase();
+    if (!label) return null;
+
+    const locales = Object.values(MIC_BUTTON_LABELS);
+    // 「マイクとカメラの設定」のようなラベルを誤検出しないよう、カメラの語を先に確認する
+    if (locales.some((locale) => locale.camera.some((word) => label.includes(word)))) return "other";
+    if (locales.some((locale) => locale.microphone.some((word) => label.includes(word)))) return "microphone";
+    return null;
+  }
+
+  /**
+   * ボタンがミュート状態かどうかを判定
+   */
+  isButtonMuted(button) {
+    try {
+      // データ属性で判定（最優先）
+      if (button.hasAttribute("data-is-muted")) {
+        return button.getAttribute("data-is-muted") === "true";
+      }
+
+      // アイコンで判定
+      const iconName = this.getIconName(button);
+      if (iconName === "mic_off") return true;
+      if (iconName === "mic" || iconName === "mic_none") return false;
+
+      // aria-labelで判定（ラベルは次に行う操作を表すため、「オンにする」ならミュート中）
+      // 「activer」が「désactiver」に含まれるように、オフにする操作の方を先に確認する
+      const label = (button.getAttribute("aria-label") || "").toLowerCase();
+      const locales = Object.values(MIC_BUTTON_LABELS);
+      if (locales.some((locale) => locale.turnOff.some((words) => label.includes(words)))) {
+        return false;
+      }
+      if (locales.some((locale) => locale.turnOn.some((words) => label.includes(words)))) {
+        return true;
+      }
+
+      // クラス名で判定
+      const classList = Array.from(button.classList);
+      if (classList.some((cls) => cls.includes("muted") || cls.includes("mute"))) {
+        return true;
+      }
+
+      // デフォルトは非ミュート状態
+      return false;
+    } catch (error) {
+      console.error("Auto 3s Mute: ミュート状態の判定に失敗しました:", error);
+      return false;
+    }
+  }
+}
+
+/**
+ * 通話から退出するボタンの言語別ラベル（アイコンで判定できない場合のフォールバック、小文字で比較する）
+ */
+const LEAVE_CALL_LABELS = ["通話から退出", "leave call", "anruf verlassen", "quitter l'appel", "abandonar la llamada", "sair da chamada", "abbandona la chiamata", "통화에서 나가기", "退出通话", "離開通話"];
+
+/**
+ * 会議画面の状態（"home": ホーム / "lobby": 参加前の待機画面 / "in-call": 通話中 / "post-call": 退出後）を判定し、変化を通知する
+ */
+class MeetingLifecycle {
+  constructor() {
+    this.state = null;
+    this.meetingCode = null; // URLの会議コード（例: abc-defg-hij）
+    this.leaveButton = null; // 見つけた退出ボタン（DOMから外れるまで再検索しない）
+    this.listeners = [];
+    this.observer = null; // 画面の切り替え（ツールバーの表示・非表示）を監視
+    this.updateTimer = null;
+    this.updateDelay = 300; // DOMの変化が落ち着いてから状態を判定するまでの時間（ms）
+  }
+
+  /**
+   * URLから会議コードを取得（会議のページでない場合はnull）
+   */
+  static getMeetingCode(url) {
+    const match = new URL(url).pathname.match(/^\/([a-z]{3}-[a-z]{4}-[a-z]{3})(?:$|\/)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * 状態の変化を購読
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * 監視を開始
+   */
+  start() {
+    if (this.observer) return;
+
+    // 通話中は退出ボタンがDOMから外れた場合だけ判定し直す（URLの変化はcontent scriptの監視から update を呼ぶ）
+    this.observer = new MutationObserver(() => {
+      if (!this.leaveButton || !this.leaveButton.isConnected) {
+        this.scheduleUpdate();
+      }
+    });
+    this.observer.observe(document.body, { childList: true, subtree: true });
+    this.update();
+  }
+
+  /**
+   * 監視を停止
+   */
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    clearTimeout(this.updateTimer);
+    this.updateTimer = null;
+    this.leaveButton = null;
+  }
+
+  /**
+   * 状態の判定を予約（短時間に続くDOMの変化はまとめて1回にする）
+   */
+  scheduleUpdate() {
+    if (this.updateTimer) return;
+    this.updateTimer = setTimeout(() => {
+      this.updateTimer = null;
+      this.update();
+    }, this.updateDelay);
+  }
+
+  /**
+   * 現在の状態を判定し、変化していれば通知（別の会議に移った場合も通知する）
+   */
+  update() {
+    const meetingCode = MeetingLifecycle.getMeetingCode(window.location.href);
+    const state = this.detectState(meetingCode);
+    if (state === this.state && meetingCode === this.meetingCode) return;
+
+    const previous = this.state;
+    const previousMeetingCode = this.meetingCode;
+    this.state = state;
+    this.meetingCode = meetingCode;
+    console.log(`Auto 3s Mute: 会議の状態が変化しました (${previous} → ${state}, 会議コード: ${meetingCode || "-"})`);
+
+    for (const listener of this.listeners) {
+      listener(state, previous, { meetingCode, previousMeetingCode });
+    }
+  }
+
+  /**
+   * 画面の状態を判定
+   */
+  detectState(meetingCode) {
+    if (!meetingCode) return "home";
+    if (this.findLeaveButton()) return "in-call";
+
+    // 退出後の画面（再参加ボタンなど）は、同じ会議で直前まで通話中だった場合に判定する
+    if (meetingCode === this.meetingCode && (this.state === "in-call" || this.state === "post-call")) {
+      return "post-call";
+    }
+    return "lobby";
+  }
+
+  /**
+   * 通話から退出するボタンを取得（通話中の画面にだけ表示される。見つけたボタンがDOMに残っている間は再検索しない）
+   */
+  findLeaveButton() {
+    if (!this.leaveButton || !this.leaveButton.isConnected) {
+      this.leaveButton = this.searchLeaveButton();
+    }
+    return this.leaveButton;
+  }
+
+  /**
+   * 通話から退出するボタンをページ全体から検索
+   */
+  searchLeaveButton() {
+    const button = document.querySelector('[jsname="CQylAd"]'); // 退出ボタンのjsname
+    if (button) return button;
+
+    for (const candidate of document.querySelectorAll("button")) {
+      const icon = candidate.querySelector("i, .google-material-icons");
+      if (icon && icon.textContent.trim() === "call_end") return candidate;
+
+      const label = (candidate.getAttribute("aria-label") || "").toLowerCase();
+      if (label && LEAVE_CALL_LABELS.some((words) => label.includes(words))) return candidate;
+    }
+    return null;
+  }
+}
+
+/**
+ * 会議中に話した時間・ミュート中の時間・最長の連続発話を集計する（解析フレームの長さで積算する）
+ */
+class SpeakingAnalytics {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * 集計をリセット（新しい会議に参加したとき）
+   */
+  reset() {
+    this.monitoredTime = 0; // 監視した時間（秒）
+    this.speakingTime = 0; // ミュートしていない状態で話した時間（秒）
+    this.mutedTime = 0; // ミュート中の時間（秒）
+    this.longestTurn = 0; // 最長の連続発話（秒）
+    this.turnCount = 0; // 発話の回数
+    this.currentTurn = 0; // 現在の連続発話の長さ（秒）
+  }
+
+  /**
+   * 1フレーム分の状態を集計
+   */
+  update(duration, isSpeech, isMuted) {
+    this.monitoredTime += duration;
+    if (isMuted) {
+      this.mutedTime += duration;
+    }
+
+    // ミュート中の発話は相手に聞こえていないため、話した時間に含めない
+    if (isSpeech && !isMuted) {
+      if (this.currentTurn === 0) {
+        this.turnCount++;
+      }
+      this.currentTurn += duration;
+      this.speakingTime += duration;
+      this.longestTurn = Math.max(this.longestTurn, this.currentTurn);
+    } else {
+      this.currentTurn = 0;
+    }
+  }
+
+  /**
+   * 集計結果を取得（発話率は監視した時間に対する話した時間の割合）
+   */
+  getSummary() {
+    return {
+      monitoredTime: this.monitoredTime,
+      speakingTime: this.speakingTime,
+      mutedTime: this.mutedTime,
+      longestTurn: this.longestTurn,
+      turnCount: this.turnCount,
+      talkRatio: this.monitoredTime > 0 ? this.speakingTime / this.monitoredTime : 0,
+    };
+  }
+}
+
 class AudioLevelMonitor {
   constructor() {
     this.audioContext = null;
-    this.analyser = null;
     this.microphone = null;
-    this.dataArray = null;
+    this.stream = null; // getUserMediaで取得したマイクのストリーム（通話から退出したら解放する）
+    this.workletNode = null; // 音声解析を行うAudioWorkletNode
+    this.lastVadResult = null; // 直近の発話判定結果
     this.isMonitoring = false;
-    this.volumeThreshold = 0.01; // デフォルトの音量閾値（より敏感に）
+    this.isStarting = false; // init()の実行中（マイクを二重に取得しない）
+    this.settingsManager = new SettingsManager(); // 設定の読み込みと変更監視
+    this.enabled = true;
+    this.volumeThresholdDb = -40; // デフォルトの音量閾値（dBFS）
+    this.sensitivityMode = "normal"; // 感度モード（"auto"の場合はノイズフロアから閾値を決定）
+    this.noiseFloorMargin = 10; // 自動モードでノイズフロアに上乗せするマージン（dB）
+    this.monitoringInterval = 100; // 解析間隔（ms）
+    this.showNotifications = false;
+    this.notificationSound = false; // 自動ミュート/解除時に音を鳴らすか
+    this.notificationVolume = 50; // 効果音の音量（%）
+    this.noiseFloor = new NoiseFloorTracker(); // 環境ノイズフロアの推定器
+    this.speechGate = new SpeechGate(); // 開始/終了閾値による発話区間の判定
+    this.operatingMode = "both"; // 動作モード（"both" | "mute-only" | "unmute-only" | "suggest"）
+    this.prompt = new ActionPrompt(); // 提案モードで表示するプロンプト
+    this.suggestedEpisodes = { mute: null, unmute: null }; // 提案済みの無音/発話区間（同じ区間で繰り返し提案しない）
+    this.confirmUnmute = false; // 自動でミュート解除せず「話していますか？」プロンプトで確認する
+    this.ignoredTalkingPrompts = 0; // 連続して無視されたプロンプトの回数
+    this.maxIgnoredTalkingPrompts = 3; // この回数無視されたら会議が終わるまでプロンプトを表示しない
+    this.talkingPromptSuppressed = false;
+    this.autoUnmutePaused = false; // キーボードショートカットで自動ミュート解除を一時停止中（ミュート解除もプロンプトの表示もしない）
+    this.snooze = null; // バックグラウンドで管理するタブの一時停止（{ until: 終了時刻（ms）、nullは会議が終わるまで }）
+    this.pausedIndicator = new PausedIndicator(); // 一時停止中の表示
+    this.levelPorts = new Set(); // 音量レベルを送るポップアップの接続
+    this.hysteresisDb = 6; // 開始閾値と終了閾値の差（dB）
+    this.minSpeechDuration = 150; // ミュート解除までに必要な発話の継続時間（ms）
+    this.hangTime = 500; // 発話終了から無音のカウントを始めるまでの時間（ms）
     this.silenceDuration = 0; // 無音状態の継続時間（秒）
     this.maxSilenceDuration = 3; // 自動ミュートまでの時間（秒）
+    this.countdown = new MuteCountdown(); // 自動ミュート直前のカウントダウン
+    this.countdownLeadTime = 2; // 自動ミュートの何秒前からカウントダウンを表示するか（0は表示しない）
+    this.countdownPosition = "bottom-center";
+    this.countdownSize = "medium";
+    this.extendedSilence = null; // カウントダウンをキャンセルして延長した無音区間（{ silenceStartTime, muteDelay }）
     this.isMuted = false;
+    this.muteStateSynced = false; // 監視を開始してからマイクボタンの状態を読み取ったかどうか
+    this.muteSource = null; // ミュートの原因（"auto": 自動ミュート, "manual": 手動ミュート, null: ミュートしていない）
+    this.autoUnmuteManualMute = false; // 手動ミュートも自動でミュート解除するか
+    this.blockedUnmuteEpisode = null; // 手動ミュートのため自動解除しなかった発話区間（統計は区間ごとに1回）
     this.originalMuteState = false;
     this.debugMode = false; // デバッグモード
     this.debugDisplay = null; // デバッグ表示要素
     this.lastUnmuteTime = 0; // 最後にミュート解除した時刻
     this.unmuteCooldown = 2; // ミュート解除後のクールダウン時間（秒）
     this.lastMuteState = false; // 前回のミュート状態（変化検知用）
+    this.pendingMuteAction = null; // 実行中の自動ミュート/解除の目標状態（true: ミュート, false: 解除）
+    this.muteActionTimeout = 1000; // 操作後にボタンの状態が変わるまで待つ時間（ms）
+    this.muteActionRetryInterval = 10; // 操作に失敗した後、自動で再試行しない時間（秒）
+    this.lastMuteActionFailureTime = 0; // 最後に操作に失敗した時刻
+    this.lastMuteActionError = null; // 最後の操作の失敗理由
+    this.monitorError = null; // 監視・操作ができない原因（"no-mic" | "button-not-found" | "no-response"）
+    this.reportedTabState = null; // バックグラウンドに最後に送ったタブの状態
+    this.micButton = new MicButtonWatcher(); // Meetのマイクボタンの状態を監視
+
+    this.lifecycle = new MeetingLifecycle(); // 会議画面の状態（通話中のみマイクを使う）
+    this.analytics = new SpeakingAnalytics(); // 会議ごとの話した時間の集計
+    this.analyticsReportInterval = 30; // 集計結果をバックグラウンドに送る間隔（秒）
+    this.lastAnalyticsReportTime = 0;
+
+    // マイクボタンの状態が変化したときだけミュート状態を同期する
+    this.micButton.onMuteStateChange((isMuted) => this.handleMuteStateChange(isMuted));
+
+    // 通話への参加・退出に合わせてマイクを取得・解放する
+    this.lifecycle.onChange((state, previous, details) => this.handleLifecycleChange(state, previous, details));
+
+    // 保存された設定の変更をページのリロードなしで反映する
+    this.settingsManager.onChange((changes) => this.handleSettingsChange(changes));
+
+    // バックグラウンドやポップアップからのメッセージ（ショートカットの転送・一時停止・状態の問い合わせなど）を処理する
+    MessageProtocol.listen("content", (message) => this.handleMessage(message));
+
+    // ポップアップのレベルメーターに解析フレームごとの音量レベルを送る
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name !== "level-meter") return;
+      this.levelPorts.add(port);
+      port.onDisconnect.addListener(() => this.levelPorts.delete(port));
+      this.postLevel(port);
+    });
+
+    // ページを再読み込みしても、このタブの一時停止を引き継ぐ
+    MessageProtocol.send("GET_SNOOZE")
+      .then((snooze) => this.applySnooze(snooze))
+      .catch((error) => console.log(`Auto 3s Mute: 一時停止の状態を取得できませんでした (${error.code})`));
+
+    // Google Meetの状態変化を監視
+    this.setupMeetStateWatcher();
 
     this.init();
   }
@@ -24,18 +938,14 @@ class AudioLevelMonitor {
    * 音声レベル監視を初期化
    */
   async init() {
+    if (this.isStarting) return;
+    this.isStarting = true;
+
     try {
       // 設定をストレージから読み込み
-      const settings = await this.getSettings();
-      this.volumeThreshold = settings.volumeThreshold || 0.01;
-      this.maxSilenceDuration = settings.silenceDuration || 3;
-      this.enabled = settings.enabled !== false;
-
-      console.log("Auto 3s Mute: 設定を読み込みました", {
-        volumeThreshold: this.volumeThreshold,
-        silenceDuration: this.maxSilenceDuration,
-        enabled: this.enabled,
-      });
+      const settings = await this.settingsManager.load();
+      this.applySettings(settings);
+      console.log("Auto 3s Mute: 設定を読み込みました", settings);
 
       // 拡張機能が有効でない場合は監視を開始しない
       if (!this.enabled) {
@@ -44,312 +954,581 @@ class AudioLevelMonitor {
       }
 
       // 既に監視中の場合は再初期化をスキップ
-      if (this.isMonitoring && this.audioContext && this.analyser) {
+      if (this.isMonitoring && this.audioContext && this.workletNode) {
         console.log("Auto 3s Mute: 既に監視中のため再初期化をスキップします");
         return;
       }
 
+      // ホーム画面や参加前の待機画面ではマイクを取得しない
+      if (this.lifecycle.state !== "in-call") {
+        console.log("Auto 3s Mute: 通話中ではないため、マイクを取得せずに参加を待ちます");
+        return;
+      }
+
       // マイクアクセスを要求
-      const stream = await navigator.mediaDevices.getUserMedia({
+      this.stream = await navigator.mediaDevices.getUserMedia({
         audio: {
           echoCancellation: true,
           noiseSuppression: true,
           autoGainControl: true,
         },
       });
-      this.setupAudioContext(stream);
+
+      // マイクの取得中に通話から退出した場合はすぐに解放する
+      if (this.lifecycle.state !== "in-call" || !this.enabled) {
+        this.stopMonitoring();
+        return;
+      }
+      await this.setupAudioContext(this.stream);
 
       // 監視開始
       this.startMonitoring();
-
-      // Google Meetの状態変化を監視
-      this.setupMeetStateWatcher();
+      if (this.monitorError === "no-mic") {
+        this.monitorError = null;
+      }
 
       console.log("Auto 3s Mute: 音声レベル監視を開始しました");
     } catch (error) {
       console.error("Auto 3s Mute: マイクアクセスに失敗しました:", error);
+      this.monitorError = "no-mic";
+    } finally {
+      this.isStarting = false;
+      this.reportTabState();
+    }
+  }
+
+  /**
+   * AudioContextとAudioWorkletを設定
+   */
+  async setupAudioContext(stream) {
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    this.microphone = this.audioContext.createMediaStreamSource(stream);
+
+    // 解析はオーディオスレッドで行い、フレームごとの結果を受け取る（タイマーの間引きの影響を受けない）
+    await this.audioContext.audioWorklet.addModule(chrome.runtime.getURL("audio-processor.js"));
+    this.workletNode = new AudioWorkletNode(this.audioContext, "audio-level-processor", {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      processorOptions: { fftSize: 2048, hopSize: this.getHopSize() },
+    });
+    this.workletNode.port.onmessage = (event) => {
+      if (event.data.type === "frame") {
+        this.handleAnalysisFrame(event.data);
+      }
+    };
+
+    this.microphone.connect(this.workletNode);
+
+    if (this.audioContext.state === "suspended") {
+      await this.audioContext.resume();
+    }
+  }
+
+  /**
+   * 音声レベル監視を開始
+   */
+  startMonitoring() {
+    if (this.isMonitoring) return;
+
+    // 解析結果はAudioWorkletから届くため、ここでは受け付けを開始するだけ
+    this.isMonitoring = true;
+    this.muteStateSynced = false;
+    this.micButton.start();
+  }
+
+  /**
+   * AudioWorkletから届いた解析フレームを処理
+   */
+  handleAnalysisFrame(frame) {
+    if (!this.isMonitoring || !this.enabled) return;
+
+    try {
+      // 開始/終了閾値と保持時間を考慮して発話区間を判定
+      this.speechGate.update(frame, {
+        openThresholdDb: this.getEffectiveThresholdDb(),
+        closeThresholdDb: this.getReleaseThresholdDb(),
+        minSpeechDuration: this.minSpeechDuration / 1000,
+        hangTime: this.hangTime / 1000,
+      });
+      this.silenceDuration = this.speechGate.silenceDuration;
+
+      const vadResult = {
+        ...frame,
+        isSpeech: this.speechGate.isSpeech(),
+        gateState: this.speechGate.state,
+      };
+      this.lastVadResult = vadResult;
+
+      // 環境ノイズフロアの推定を更新
+      this.noiseFloor.update(frame.levelDb, frame.time);
+
+      // ポップアップのレベルメーターを更新
+      this.postLevel();
+
+      // 話した時間を集計し、一定間隔でバックグラウンドに送る
+      this.analytics.update(frame.duration, vadResult.isSpeech, this.isMuted);
+      if ((Date.now() - this.lastAnalyticsReportTime) / 1000 >= this.analyticsReportInterval) {
+        this.reportAnalytics();
+      }
+
+      // デバッグ情報を表示
+      if (this.debugMode) {
+        this.updateDebugDisplay(vadResult);
+      }
+
+      // 一時停止中は解析と集計だけを続け、ミュート/ミュート解除は行わない
+      if (this.isSnoozed()) return;
+
+      // 発話判定に基づいてミュート/ミュート解除を判断
+      if (!vadResult.isSpeech) {
+        // 非発話状態（無音、または環境ノイズのみ）
+        // ミュート解除後のクールダウン期間中は自動ミュートを実行しない
+        const timeSinceLastUnmute = (Date.now() - this.lastUnmuteTime) / 1000;
+        const isInCooldown = timeSinceLastUnmute < this.unmuteCooldown;
+        const muteDelay = this.getMuteDelay();
+
+        this.updateMuteCountdown(this.isMuted || isInCooldown ? null : muteDelay - this.silenceDuration);
+        if (this.silenceDuration >= muteDelay && !this.isMuted && !isInCooldown) {
+          this.handleSilenceTimeout();
+        } else if (isInCooldown) {
+          console.log(`Auto 3s Mute: ミュート解除後のクールダウン期間中 (残り${(this.unmuteCooldown - timeSinceLastUnmute).toFixed(1)}秒)`);
+        }
+      } else {
+        // 最短発話時間以上の発話が検出された
+        this.prompt.hide("mute");
+        this.countdown.hide();
+
+        if (this.isMuted) {
+          this.handleSpeechWhileMuted();
+        }
+      }
+    } catch (error) {
+      console.error("Auto 3s Mute: 音声レベル監視中にエラーが発生しました:", error);
+      // エラーが発生した場合は監視を再開
+      console.log("Auto 3s Mute: エラーにより監視を再開します");
+      this.restartMonitoring();
+    }
+  }
+
+  /**
+   * 無音が設定時間続いたときの処理（動作モードに応じてミュートまたは提案）
+   */
+  handleSilenceTimeout() {
+    switch (this.operatingMode) {
+      case "both":
+      case "mute-only":
+        console.log(`Auto 3s Mute: 無音状態が${this.maxSilenceDuration}秒続いたため自動ミュートを実行します`);
+        this.autoMute();
+        break;
+      case "suggest":
+        this.suggestMute();
+        break;
+      case "unmute-only":
+        // ミュート解除のみのモードでは自動ミュートしない
+        break;
+    }
+  }
+
+  /**
+   * 現在の無音区間で自動ミュートするまでの無音時間（秒、カウントダウンをキャンセルした区間は延長する）
+   */
+  getMuteDelay() {
+    if (this.extendedSilence && this.extendedSilence.silenceStartTime === this.speechGate.silenceStartTime) {
+      return this.extendedSilence.muteDelay;
+    }
+    return this.maxSilenceDuration;
+  }
+
+  /**
+   * 自動ミュートまでの残り時間がカウントダウンの表示時間以内であれば表示する（nullの場合は閉じる）
+   */
+  updateMuteCountdown(remaining) {
+    const autoMutes = this.operatingMode === "both" || this.operatingMode === "mute-only";
+    // 操作の失敗後の再試行待ちなど、自動ミュートを実行できない間は表示しない
+    if (remaining === null || remaining <= 0 || remaining > this.countdownLeadTime || !autoMutes || !this.canRunMuteAction(false)) {
+      this.countdown.hide();
+      return;
+    }
+
+    this.countdown.show(Math.ceil(remaining), () => this.extendMuteDelay(), {
+      position: this.countdownPosition,
+      size: this.countdownSize,
+    });
+  }
+
+  /**
+   * カウントダウンがキャンセルされたため、現在の無音区間の自動ミュートを無音時間1回分延長する
+   */
+  extendMuteDelay() {
+    this.extendedSilence = {
+      silenceStartTime: this.speechGate.silenceStartTime,
+      muteDelay: this.silenceDuration + this.maxSilenceDuration,
+    };
+    console.log(`Auto 3s Mute: カウントダウンがキャンセルされたため、自動ミュートを${this.maxSilenceDuration}秒延長します`);
+  }
+
+  /**
+   * ミュート中に発話が検出されたときの処理（動作モードに応じてミュート解除または提案）
+   */
+  handleSpeechWhileMuted() {
+    // 自動ミュート解除の一時停止中は、解除もプロンプトの表示もしない（確認プロンプトを有効にしている場合も操作の効果が分かるようにする）
+    if (this.autoUnmutePaused) return;
+
+    switch (this.operatingMode) {
+      case "both":
+      case "unmute-only":
+        if (this.isManualMuteLocked()) {
+          // 手動ミュートは自動で解除せず、話していることだけ知らせる
+          this.reportBlockedUnmute();
+          this.showTalkingWhileMutedPrompt();
+        } else if (this.confirmUnmute) {
+          this.showTalkingWhileMutedPrompt();
+        } else {
+          // キーボードショートカット版では、音声が検出されたら常にミュート解除を試行
+          console.log("Auto 3s Mute: 音声が検出されたため自動ミュート解除を実行します");
+          this.autoUnmute();
+        }
+        break;
+      case "suggest":
+      case "mute-only":
+        // 自動でミュート解除しないモードでも、話していることは知らせる
+        this.showTalkingWhileMutedPrompt();
+        break;
     }
   }
 
   /**
-   * AudioContextを設定
+   * 手動ミュートのため自動ミュート解除を行わない状態かどうか
    */
-  setupAudioContext(stream) {
-    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    this.microphone = this.audioContext.createMediaStreamSource(stream);
-    this.analyser = this.audioContext.createAnalyser();
-
-    this.analyser.fftSize = 256;
-    const bufferLength = this.analyser.frequencyBinCount;
-    this.dataArray = new Uint8Array(bufferLength);
-
-    this.microphone.connect(this.analyser);
+  isManualMuteLocked() {
+    return this.isMuted && this.muteSource === "manual" && !this.autoUnmuteManualMute;
   }
 
   /**
-   * 音声レベル監視を開始
+   * 手動ミュートのため自動ミュート解除しなかったことをバックグラウンドに記録（同じ発話区間では1回だけ）
    */
-  startMonitoring() {
-    if (this.isMonitoring) return;
-
-    this.isMonitoring = true;
-    this.monitorAudioLevel();
+  reportBlockedUnmute() {
+    if (this.blockedUnmuteEpisode === this.speechGate.speechStartTime) return;
+    this.blockedUnmuteEpisode = this.speechGate.speechStartTime;
+
+    console.log("Auto 3s Mute: 手動ミュート中のため自動ミュート解除を行いません");
+    MessageProtocol.notify("AUTO_UNMUTE_BLOCKED", {
+      muteSource: this.muteSource,
+      reason: "manual-lock",
+      timestamp: Date.now(),
+    });
   }
 
   /**
-   * 音声レベルを監視
+   * 提案モードでミュートを提案（同じ無音区間では1回だけ）
    */
-  monitorAudioLevel() {
-    if (!this.isMonitoring || !this.enabled) return;
-
-    try {
-      // AudioContextとanalyserの存在を確認
-      if (!this.analyser || !this.dataArray) {
-        console.log("Auto 3s Mute: AudioContextまたはanalyserが存在しません。監視を再開します。");
-        this.restartMonitoring();
-        return;
-      }
-
-      this.analyser.getByteFrequencyData(this.dataArray);
-
-      // 音量レベルを計算
-      const averageVolume = this.calculateAverageVolume();
-
-      // 現在のミュート状態を確認
-      this.checkMuteState();
-
-      // デバッグ情報を表示
-      if (this.debugMode) {
-        this.updateDebugDisplay(averageVolume);
-      }
+  suggestMute() {
+    if (this.suggestedEpisodes.mute === this.speechGate.silenceStartTime) return;
+    this.suggestedEpisodes.mute = this.speechGate.silenceStartTime;
 
-      // 音声レベルに基づいてミュート/ミュート解除を判断
-      if (averageVolume < this.volumeThreshold) {
-        // 無音状態
-        this.silenceDuration += 0.1; // 100ms間隔でチェック
-
-        // ミュート解除後のクールダウン期間中は自動ミュートを実行しない
-        const timeSinceLastUnmute = (Date.now() - this.lastUnmuteTime) / 1000;
-        const isInCooldown = timeSinceLastUnmute < this.unmuteCooldown;
+    console.log("Auto 3s Mute: 無音状態が続いているためミュートを提案します");
+    this.prompt.show("mute", `${this.maxSilenceDuration}秒以上話していません。ミュートしますか？`, "ミュート", () => this.autoMute("prompt"));
+  }
 
-        if (this.silenceDuration >= this.maxSilenceDuration && !this.isMuted && !isInCooldown) {
-          console.log(`Auto 3s Mute: 無音状態が${this.maxSilenceDuration}秒続いたため自動ミュートを実行します`);
-          this.autoMute();
-        } else if (isInCooldown) {
-          console.log(`Auto 3s Mute: ミュート解除後のクールダウン期間中 (残り${(this.unmuteCooldown - timeSinceLastUnmute).toFixed(1)}秒)`);
-        }
-      } else {
-        // 音声が検出された
-        this.silenceDuration = 0;
-        // キーボードショートカット版では、音声が検出されたら常にミュート解除を試行
-        if (this.isMuted) {
-          console.log("Auto 3s Mute: 音声が検出されたため自動ミュート解除を実行します");
-          this.autoUnmute();
-        }
+  /**
+   * ミュート中に話していることを知らせ、ワンクリックでミュート解除できるプロンプトを表示（同じ発話区間では1回だけ）
+   */
+  showTalkingWhileMutedPrompt() {
+    if (this.talkingPromptSuppressed) return;
+    if (this.suggestedEpisodes.unmute === this.speechGate.speechStartTime) return;
+    this.suggestedEpisodes.unmute = this.speechGate.speechStartTime;
+
+    console.log("Auto 3s Mute: ミュート中に音声が検出されたためプロンプトを表示します");
+    this.prompt.show(
+      "unmute",
+      "話しているようですが、マイクはミュート中です",
+      "ミュート解除",
+      () => {
+        this.ignoredTalkingPrompts = 0;
+        this.autoUnmute("prompt");
+      },
+      {
+        timeout: 6000,
+        shortcut: { label: "Alt+U", matches: (event) => event.altKey && event.code === "KeyU" },
+        onIgnore: () => this.handleTalkingPromptIgnored(),
       }
+    );
+  }
 
-      // 100ms後に再チェック
-      setTimeout(() => this.monitorAudioLevel(), 100);
-    } catch (error) {
-      console.error("Auto 3s Mute: 音声レベル監視中にエラーが発生しました:", error);
-      // エラーが発生した場合は監視を再開
-      console.log("Auto 3s Mute: エラーにより監視を再開します");
-      this.restartMonitoring();
+  /**
+   * プロンプトが無視された回数を数え、続けて無視された場合は会議が終わるまで表示しない
+   */
+  handleTalkingPromptIgnored() {
+    this.ignoredTalkingPrompts++;
+    if (this.ignoredTalkingPrompts >= this.maxIgnoredTalkingPrompts) {
+      this.talkingPromptSuppressed = true;
+      console.log(`Auto 3s Mute: プロンプトが${this.maxIgnoredTalkingPrompts}回続けて無視されたため、この会議では表示しません`);
     }
   }
 
   /**
-   * 平均音量を計算
+   * 会議ごとのプロンプトの状態をリセット
    */
-  calculateAverageVolume() {
-    let sum = 0;
-    for (let i = 0; i < this.dataArray.length; i++) {
-      sum += this.dataArray[i];
-    }
-    return sum / this.dataArray.length / 255; // 0-1の範囲に正規化
+  resetTalkingPromptState() {
+    this.prompt.hide("unmute");
+    this.ignoredTalkingPrompts = 0;
+    this.talkingPromptSuppressed = false;
+    this.suggestedEpisodes.unmute = null;
   }
 
   /**
-   * 現在のミュート状態を確認
+   * 現在のミュート状態を確認（マイクボタンを再検索して内部状態を同期する）
    */
   checkMuteState() {
+    this.micButton.acquire();
+    this.handleMuteStateChange(this.micButton.isMuted);
+  }
+
+  /**
+   * マイクボタンのミュート状態の変化を内部状態に反映
+   */
+  handleMuteStateChange(isActuallyMuted) {
+    // ボタンが見つからない間は直前の状態を維持する（アイコンはエラー表示にする）
+    if (isActuallyMuted === null) {
+      this.reportTabState();
+      return;
+    }
+    // 自動ミュート/解除の操作中の変化は、操作の結果として autoMute / autoUnmute で反映する
+    if (this.pendingMuteAction !== null) return;
+
+    // ボタンの状態が読み取れたため、直前の操作の失敗は解消したとみなす
+    if (this.monitorError === "button-not-found" || this.monitorError === "no-response") {
+      this.monitorError = null;
+    }
+
+    // 監視の開始後に最初に読み取った状態は変化ではないため、記録せずに内部状態を合わせるだけにする
+    // （会議に参加した時点で既にミュートしていた場合は手動ミュートとして扱う）
+    if (!this.muteStateSynced) {
+      this.muteStateSynced = true;
+      if (isActuallyMuted !== this.isMuted) {
+        this.isMuted = isActuallyMuted;
+        this.muteSource = isActuallyMuted ? "manual" : null;
+      }
+      this.lastMuteState = isActuallyMuted;
+      this.reportTabState();
+      this.postLevel();
+      return;
+    }
+
     try {
-      // Google Meetのミュートボタンの状態を監視
-      const muteButton = this.findMuteButton();
-      if (muteButton) {
-        const isActuallyMuted = this.isButtonMuted(muteButton);
-
-        // 実際のミュート状態と内部状態が異なる場合は同期
-        if (isActuallyMuted !== this.isMuted) {
-          console.log(`Auto 3s Mute: ミュート状態が変更されました (実際: ${isActuallyMuted}, 内部: ${this.isMuted})`);
-
-          // 手動でミュート解除された場合はクールダウン時間を記録
-          if (!isActuallyMuted && this.isMuted) {
-            console.log("Auto 3s Mute: 手動でミュート解除が検出されました。クールダウン時間を記録します。");
-            this.lastUnmuteTime = Date.now();
-          }
-
-          this.isMuted = isActuallyMuted;
-
-          // 手動でミュートが変更された場合は、自動ミュートの状態をリセット
-          if (this.originalMuteState !== undefined) {
-            this.originalMuteState = isActuallyMuted;
-          }
+      // 実際のミュート状態と内部状態が異なる場合は同期
+      if (isActuallyMuted !== this.isMuted) {
+        console.log(`Auto 3s Mute: ミュート状態が変更されました (実際: ${isActuallyMuted}, 内部: ${this.isMuted})`);
+
+        // 手動でミュート解除された場合はクールダウン時間を記録
+        if (!isActuallyMuted && this.isMuted) {
+          console.log("Auto 3s Mute: 手動でミュート解除が検出されました。クールダウン時間を記録します。");
+          this.lastUnmuteTime = Date.now();
+        }
+
+        this.isMuted = isActuallyMuted;
+
+        // 自動ミュート以外でミュートされた場合は手動ミュートとして扱う
+        if (isActuallyMuted) {
+          this.muteSource = "manual";
+          console.log("Auto 3s Mute: 手動ミュートが検出されました");
+          MessageProtocol.notify("MANUAL_MUTED", {
+            reason: "manual",
+            timestamp: Date.now(),
+          });
+        } else {
+          MessageProtocol.notify("MANUAL_UNMUTED", {
+            muteSource: this.muteSource,
+            reason: "manual",
+            timestamp: Date.now(),
+          });
+          this.muteSource = null;
+        }
+
+        // ミュートが解除された場合は「話していますか？」プロンプトを閉じる（応答したとみなす）
+        if (!isActuallyMuted && this.prompt.isShowing("unmute")) {
+          this.prompt.hide("unmute");
+          this.ignoredTalkingPrompts = 0;
         }
 
-        // 前回の状態と比較して変化を検知
-        if (isActuallyMuted !== this.lastMuteState) {
-          console.log(`Auto 3s Mute: ミュート状態が変化しました (前回: ${this.lastMuteState}, 現在: ${isActuallyMuted})`);
+        // 手動でミュートが変更された場合は、自動ミュートの状態をリセット
+        if (this.originalMuteState !== undefined) {
+          this.originalMuteState = isActuallyMuted;
+        }
+      }
 
-          // 手動でミュート解除された場合（ミュート → 非ミュート）
-          if (!isActuallyMuted && this.lastMuteState) {
-            console.log("Auto 3s Mute: 手動でミュート解除が検出されました。クールダウン時間を記録します。");
-            this.lastUnmuteTime = Date.now();
-          }
+      // 前回の状態と比較して変化を検知
+      if (isActuallyMuted !== this.lastMuteState) {
+        console.log(`Auto 3s Mute: ミュート状態が変化しました (前回: ${this.lastMuteState}, 現在: ${isActuallyMuted})`);
 
-          this.lastMuteState = isActuallyMuted;
+        // 手動でミュート解除された場合（ミュート → 非ミュート）
+        if (!isActuallyMuted && this.lastMuteState) {
+          console.log("Auto 3s Mute: 手動でミュート解除が検出されました。クールダウン時間を記録します。");
+          this.lastUnmuteTime = Date.now();
         }
+
+        this.lastMuteState = isActuallyMuted;
       }
     } catch (error) {
       console.error("Auto 3s Mute: ミュート状態の確認に失敗しました:", error);
     }
+    this.reportTabState();
+    this.postLevel();
   }
 
   /**
-   * ミュートボタンを検索
+   * 自動ミュートを実行（マイクボタンがミュート状態になったことを確認してから内部状態を更新する）
+   * @param {string} reason 実行した理由（"silence": 無音が続いた / "prompt": 提案から操作 / "retry": 失敗後の再試行 / "command": キーボードショートカット / "notification": 通知のボタン / "debug": デバッグコマンド）
    */
-  findMuteButton() {
-    // Google Meetのマイクボタンのセレクタ（カメラボタンと区別）
-    const selectors = [
-      // マイクボタンのjsnameを直接指定
-      '[jsname="hw0c9"]', // マイクボタンのjsname
-      // aria-labelでマイクボタンを特定
-      'button[aria-label*="マイク"]',
-      'button[aria-label*="Mic"]',
-      'button[aria-label*="オフ"]',
-      'button[aria-label*="オン"]',
-      // data-is-muted属性を持つマイクボタン
-      'button[data-is-muted][aria-label*="マイク"]',
-      'button[data-is-muted][aria-label*="Mic"]',
-    ];
-
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        // マイクボタンかどうかを確認
-        const ariaLabel = element.getAttribute("aria-label") || "";
-        const isMicrophoneButton = ariaLabel.includes("マイク") || ariaLabel.includes("Mic") || ariaLabel.includes("オフ") || ariaLabel.includes("オン");
-
-        if (isMicrophoneButton) {
-          console.log(`Auto 3s Mute: マイクボタンを発見しました (${selector})`);
-          console.log(`Auto 3s Mute: aria-label: ${ariaLabel}`);
-          return element;
-        }
-      }
+  async autoMute(reason = "silence") {
+    if (this.isMuted || !this.canRunMuteAction(reason !== "silence")) return;
+
+    this.originalMuteState = this.isMuted;
+    const method = await this.performMuteAction(true);
+    if (!method) {
+      this.handleMuteActionFailure("mute", reason);
+      return;
     }
 
-    // フォールバック: より広範囲で検索
-    const fallbackSelectors = ["button[data-is-muted]", '[data-is-muted="true"]', '[data-is-muted="false"]'];
-
-    for (const selector of fallbackSelectors) {
-      const elements = document.querySelectorAll(selector);
-      for (const element of elements) {
-        const ariaLabel = element.getAttribute("aria-label") || "";
-        const isMicrophoneButton = ariaLabel.includes("マイク") || ariaLabel.includes("Mic") || ariaLabel.includes("オフ") || ariaLabel.includes("オン");
+    this.isMuted = true; // 内部状態を更新
+    this.lastMuteState = true;
+    // キーボードショートカットや通知のボタンで意図的にミュートした場合は、手動ミュートと同じく自動で解除しない
+    this.muteSource = reason === "command" || reason === "notification" ? "manual" : "auto";
+    this.monitorError = null;
+    this.reportTabState();
+    console.log(`Auto 3s Mute: 自動ミュートを実行しました（${method === "click" ? "ボタンのクリック" : "キーボードショートカット"}）`);
+    this.playNotificationSound("mute");
+
+    // バックグラウンドスクリプトに通知
+    MessageProtocol.notify("AUTO_MUTED", {
+      muteSource: this.muteSource,
+      reason: reason,
+      method: method,
+      timestamp: Date.now(),
+    });
+  }
 
-        if (isMicrophoneButton) {
-          console.log(`Auto 3s Mute: マイクボタンを発見しました (フォールバック: ${selector})`);
-          console.log(`Auto 3s Mute: aria-label: ${ariaLabel}`);
-          return element;
-        }
-      }
+  /**
+   * 自動ミュート解除を実行（マイクボタンのミュートが解除されたことを確認してから内部状態を更新する）
+   * @param {string} reason 実行した理由（"speech": 発話を検出 / "prompt": プロンプトから操作 / "retry": 失敗後の再試行 / "notification": 通知のボタン / "debug": デバッグコマンド）
+   */
+  async autoUnmute(reason = "speech") {
+    if (!this.isMuted || !this.canRunMuteAction(reason !== "speech")) return;
+
+    const previousMuteSource = this.muteSource;
+    const method = await this.performMuteAction(false);
+    if (!method) {
+      this.handleMuteActionFailure("unmute", reason);
+      return;
     }
 
-    console.log("Auto 3s Mute: マイクボタンが見つかりませんでした");
-    return null;
+    this.isMuted = false; // 内部状態を更新
+    this.lastMuteState = false;
+    this.muteSource = null;
+    this.monitorError = null;
+    this.reportTabState();
+    this.lastUnmuteTime = Date.now(); // ミュート解除時刻を記録
+    console.log(`Auto 3s Mute: 自動ミュート解除を実行しました（${method === "click" ? "ボタンのクリック" : "キーボードショートカット"}）`);
+    this.playNotificationSound("unmute");
+
+    // バックグラウンドスクリプトに通知
+    MessageProtocol.notify("AUTO_UNMUTED", {
+      muteSource: previousMuteSource,
+      reason: reason,
+      method: method,
+      timestamp: Date.now(),
+    });
   }
 
   /**
-   * ボタンがミュート状態かどうかを判定
+   * 自動ミュート/解除を実行できるかどうか（操作中、または失敗直後は実行しない）
+   * @param {boolean} userInitiated プロンプトなどでユーザーが操作した場合はtrue（失敗後の再試行待ちを無視する）
    */
-  isButtonMuted(button) {
-    try {
-      // データ属性で判定（最優先）
-      if (button.hasAttribute("data-is-muted")) {
-        const isMuted = button.getAttribute("data-is-muted") === "true";
-        console.log(`Auto 3s Mute: data-is-muted属性で判定: ${isMuted}`);
-        return isMuted;
-      }
-
-      // aria-labelで判定
-      const ariaLabel = button.getAttribute("aria-label") || "";
-      console.log(`Auto 3s Mute: aria-label: ${ariaLabel}`);
+  canRunMuteAction(userInitiated) {
+    if (this.pendingMuteAction !== null) return false;
+    if (userInitiated) return true;
+    return (Date.now() - this.lastMuteActionFailureTime) / 1000 >= this.muteActionRetryInterval;
+  }
 
-      // マイクボタンのaria-labelパターン
-      if (ariaLabel.includes("マイクをオフ") || ariaLabel.includes("Mic off")) {
-        return false; // マイクがオフの状態 = ミュートされていない
+  /**
+   * ミュート状態を切り替え、マイクボタンが目的の状態になったことを確認する
+   * キーボードショートカットで切り替わらない場合は、ボタンを直接クリックする
+   * @returns {Promise<string|null>} 成功した方法（"shortcut" | "click"）、失敗した場合はnull
+   */
+  async performMuteAction(targetMuted) {
+    this.pendingMuteAction = targetMuted;
+    this.lastMuteActionError = null;
+    try {
+      // ボタンが見つからない場合は状態を確認できないため操作しない
+      if (!this.micButton.button) {
+        this.micButton.acquire();
       }
-      if (ariaLabel.includes("マイクをオン") || ariaLabel.includes("Mic on")) {
-        return true; // マイクがオンの状態 = ミュートされている
+      if (this.micButton.isMuted === null) {
+        this.lastMuteActionError = "button-not-found";
+        return null;
       }
 
-      // 一般的なミュートパターン
-      if (ariaLabel.includes("ミュート") || ariaLabel.includes("Mute")) {
-        return true;
-      }
-      if (ariaLabel.includes("ミュート解除") || ariaLabel.includes("Unmute")) {
-        return false;
+      // 1. キーボードショートカット（Ctrl+D / Cmd+D）
+      this.simulateMuteKey();
+      if (await this.micButton.waitForMuteState(targetMuted, this.muteActionTimeout)) {
+        return "shortcut";
       }
 
-      // クラス名で判定
-      const classList = Array.from(button.classList);
-      if (classList.some((cls) => cls.includes("muted") || cls.includes("mute"))) {
-        return true;
+      // 2. マイクボタンを直接クリック（Meetが合成キーイベントを無視する場合）
+      console.log("Auto 3s Mute: キーボードショートカットで切り替わらなかったため、マイクボタンをクリックします");
+      const button = this.micButton.button;
+      if (button && this.micButton.isMuted !== targetMuted) {
+        button.click();
+        if (await this.micButton.waitForMuteState(targetMuted, this.muteActionTimeout)) {
+          return "click";
+        }
       }
 
-      // デフォルトは非ミュート状態
-      console.log("Auto 3s Mute: 判定できず、デフォルト（非ミュート）を返します");
-      return false;
-    } catch (error) {
-      console.error("Auto 3s Mute: ミュート状態の判定に失敗しました:", error);
-      return false;
+      this.lastMuteActionError = button ? "no-response" : "button-not-found";
+      return null;
+    } finally {
+      this.pendingMuteAction = null;
     }
   }
 
   /**
-   * 自動ミュートを実行（キーボードショートカット版）
+   * 自動ミュート/解除の失敗をバックグラウンドとユーザーに知らせ、内部状態を実際のボタンの状態に合わせる
    */
-  autoMute() {
-    if (!this.isMuted) {
-      this.originalMuteState = this.isMuted;
-      this.simulateMuteKey();
-      this.isMuted = true; // 内部状態を更新
-      console.log("Auto 3s Mute: 自動ミュートを実行しました（キーボードショートカット）");
-
-      // バックグラウンドスクリプトに通知
-      chrome.runtime.sendMessage({
-        type: "AUTO_MUTED",
-        timestamp: Date.now(),
-      });
+  handleMuteActionFailure(action, reason) {
+    const errorLabels = {
+      "button-not-found": "マイクボタンが見つかりません",
+      "no-response": "マイクボタンの状態が変わりませんでした",
+    };
+    const actionLabel = action === "mute" ? "自動ミュート" : "自動ミュート解除";
+    const errorLabel = errorLabels[this.lastMuteActionError] || this.lastMuteActionError;
+    this.lastMuteActionFailureTime = Date.now();
+    this.monitorError = this.lastMuteActionError;
+
+    // 操作中はボタンの変化を無視しているため、時間切れの後に切り替わった場合などは改めて読み取る
+    const actuallyMuted = this.micButton.isMuted;
+    if (actuallyMuted !== null && actuallyMuted !== this.isMuted) {
+      console.log(`Auto 3s Mute: 操作の失敗後にミュート状態を同期しました (実際: ${actuallyMuted}, 内部: ${this.isMuted})`);
+      this.isMuted = actuallyMuted;
+      this.lastMuteState = actuallyMuted;
+      this.muteSource = actuallyMuted ? (reason === "command" || reason === "notification" ? "manual" : "auto") : null;
     }
-  }
+    this.reportTabState();
+    console.error(`Auto 3s Mute: ${actionLabel}に失敗しました (${errorLabel})`);
+
+    MessageProtocol.notify("MUTE_ACTION_FAILED", {
+      action: action,
+      reason: reason,
+      error: this.lastMuteActionError,
+      timestamp: Date.now(),
+    });
 
-  /**
-   * 自動ミュート解除を実行（キーボードショートカット版）
-   */
-  autoUnmute() {
-    if (this.isMuted) {
-      this.simulateMuteKey();
-      this.isMuted = false; // 内部状態を更新
-      this.lastUnmuteTime = Date.now(); // ミュート解除時刻を記録
-      console.log("Auto 3s Mute: 自動ミュート解除を実行しました（キーボードショートカット）");
-
-      // バックグラウンドスクリプトに通知
-      chrome.runtime.sendMessage({
-        type: "AUTO_UNMUTED",
-        timestamp: Date.now(),
-      });
-    }
+    this.prompt.show("error", `${actionLabel}に失敗しました（${errorLabel}）`, "再試行", () => {
+      if (action === "mute") {
+        this.autoMute("retry");
+      } else {
+        this.autoUnmute("retry");
+      }
+    });
   }
 
   /**
@@ -468,41 +1647,105 @@ class AudioLevelMonitor {
   }
 
   /**
-   * 設定を取得
+   * 設定値を監視インスタンスに反映
    */
-  async getSettings() {
-    return new Promise((resolve) => {
-      chrome.storage.sync.get(
-        {
-          volumeThreshold: 0.01,
-          silenceDuration: 3,
-          enabled: true,
-          showNotifications: false,
-        },
-        (result) => {
-          // 設定を安全に更新（ページリロードを防ぐ）
-          this.volumeThreshold = parseFloat(result.volumeThreshold) || 0.01;
-          this.maxSilenceDuration = parseInt(result.silenceDuration) || 3;
-          this.enabled = Boolean(result.enabled);
-          this.showNotifications = Boolean(result.showNotifications);
-
-          console.log("Auto 3s Mute: 設定を読み込みました", {
-            volumeThreshold: this.volumeThreshold,
-            silenceDuration: this.maxSilenceDuration,
-            enabled: this.enabled,
-            showNotifications: this.showNotifications,
-          });
+  applySettings(settings) {
+    if ("enabled" in settings) this.enabled = settings.enabled;
+    if ("volumeThresholdDb" in settings) this.volumeThresholdDb = settings.volumeThresholdDb;
+    if ("silenceDuration" in settings) this.maxSilenceDuration = settings.silenceDuration;
+    if ("countdownLeadTime" in settings) this.countdownLeadTime = settings.countdownLeadTime;
+    if ("countdownPosition" in settings) this.countdownPosition = settings.countdownPosition;
+    if ("countdownSize" in settings) this.countdownSize = settings.countdownSize;
+    if ("countdownPosition" in settings || "countdownSize" in settings) {
+      // 表示中のカウントダウンは次のフレームで新しい位置・大きさで表示し直す
+      this.countdown.hide();
+    }
+    if ("showNotifications" in settings) this.showNotifications = settings.showNotifications;
+    if ("notificationSound" in settings) this.notificationSound = settings.notificationSound;
+    if ("notificationVolume" in settings) this.notificationVolume = settings.notificationVolume;
+    if ("sensitivityMode" in settings) this.sensitivityMode = settings.sensitivityMode;
+    if ("noiseFloorMargin" in settings) this.noiseFloorMargin = settings.noiseFloorMargin;
+    if ("hysteresisDb" in settings) this.hysteresisDb = settings.hysteresisDb;
+    if ("minSpeechDuration" in settings) this.minSpeechDuration = settings.minSpeechDuration;
+    if ("hangTime" in settings) this.hangTime = settings.hangTime;
+    if ("confirmUnmute" in settings) this.confirmUnmute = settings.confirmUnmute;
+    if ("autoUnmuteManualMute" in settings) this.autoUnmuteManualMute = settings.autoUnmuteManualMute;
+    if ("operatingMode" in settings) {
+      const wasSuggest = this.operatingMode === "suggest";
+      this.operatingMode = settings.operatingMode;
+      // 提案モードから切り替えた場合は表示中のミュートの提案だけを閉じる（話し中の警告やエラーはそのまま）
+      if (wasSuggest && this.operatingMode !== "suggest") {
+        this.prompt.hide("mute");
+      }
+    }
+    if ("monitoringInterval" in settings) {
+      this.monitoringInterval = settings.monitoringInterval;
+      // 実行中のAudioWorkletの解析間隔も変更する
+      if (this.workletNode) {
+        this.workletNode.port.postMessage({ type: "configure", hopSize: this.getHopSize() });
+      }
+    }
+  }
 
-          resolve(result);
-        }
-      );
-    });
+  /**
+   * 設定変更を処理（有効/無効の切り替えでは監視を開始・停止する）
+   */
+  handleSettingsChange(changes) {
+    console.log("Auto 3s Mute: 設定が変更されました", changes);
+    const wasEnabled = this.enabled;
+    this.applySettings(changes);
+
+    if (this.enabled && !wasEnabled) {
+      console.log("Auto 3s Mute: 拡張機能が有効になったため監視を開始します");
+      this.restartMonitoring();
+    } else if (!this.enabled && wasEnabled) {
+      console.log("Auto 3s Mute: 拡張機能が無効になったため監視を停止します");
+      this.stopMonitoring();
+    }
+    this.reportTabState();
+  }
+
+  /**
+   * 解析間隔（ms）をAudioWorkletの解析間隔（サンプル数）に変換
+   */
+  getHopSize() {
+    const sampleRate = this.audioContext ? this.audioContext.sampleRate : 48000;
+    // AudioWorkletは128サンプル単位で処理するため、それより短くはできない
+    return Math.max(128, Math.round((this.monitoringInterval / 1000) * sampleRate));
+  }
+
+  /**
+   * 自動ミュート/解除の通知音を再生（Meetの送信音声には混ざらない）
+   */
+  playNotificationSound(type) {
+    if (!this.notificationSound || this.notificationVolume === 0 || !this.audioContext) return;
+
+    try {
+      // ミュートは下降する2音、ミュート解除は上昇する2音で聞き分けられるようにする
+      const frequencies = type === "mute" ? [660, 440] : [440, 660];
+      const peak = 0.3 * (this.notificationVolume / 100);
+      const toneLength = 0.09;
+      frequencies.forEach((frequency, index) => {
+        const oscillator = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        const start = this.audioContext.currentTime + index * toneLength;
+        oscillator.type = "sine";
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(peak, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + toneLength);
+        oscillator.connect(gain).connect(this.audioContext.destination);
+        oscillator.start(start);
+        oscillator.stop(start + toneLength);
+      });
+    } catch (error) {
+      console.error("Auto 3s Mute: 通知音の再生に失敗しました:", error);
+    }
   }
 
   /**
    * デバッグ表示を更新
    */
-  updateDebugDisplay(averageVolume) {
+  updateDebugDisplay(vadResult) {
     if (!this.debugDisplay) {
       this.createDebugDisplay();
     }
@@ -511,15 +1754,22 @@ class AudioLevelMonitor {
       const timeSinceLastUnmute = (Date.now() - this.lastUnmuteTime) / 1000;
       const isInCooldown = timeSinceLastUnmute < this.unmuteCooldown;
       const cooldownRemaining = Math.max(0, this.unmuteCooldown - timeSinceLastUnmute);
+      const gateStateLabels = { silence: "非発話", onset: "発話開始待ち", speech: "発話", hang: "発話（保持中）" };
+      const muteSourceLabels = { auto: "自動", manual: this.autoUnmuteManualMute ? "手動" : "手動・自動解除しない" };
 
       this.debugDisplay.innerHTML = `
           <div style="position: fixed; top: 10px; right: 10px; background: rgba(0,0,0,0.8); color: white; padding: 10px; border-radius: 5px; font-family: monospace; font-size: 12px; z-index: 10000;">
             <div style="color: #4CAF50; font-weight: bold;">Auto 3s Mute (キーボードショートカット版)</div>
-            <div>音量レベル: ${averageVolume.toFixed(4)}</div>
-            <div>閾値: ${this.volumeThreshold.toFixed(4)}</div>
-            <div>無音時間: ${this.silenceDuration.toFixed(1)}s / ${this.maxSilenceDuration}s</div>
-            <div>ミュート状態: ${this.isMuted ? "ON" : "OFF"}</div>
-            <div>監視状態: ${this.isMonitoring ? "ON" : "OFF"}</div>
+            <div>音量レベル: ${vadResult.levelDb.toFixed(1)} dBFS</div>
+            <div>ノイズフロア: ${this.noiseFloor.isReady() ? `${this.noiseFloor.noiseFloorDb.toFixed(1)} dBFS` : "推定中"}</div>
+            <div>開始閾値: ${this.getEffectiveThresholdDb().toFixed(1)} dBFS (${this.isAutoThresholdActive() ? "自動" : "固定"})</div>
+            <div>終了閾値: ${this.getReleaseThresholdDb().toFixed(1)} dBFS</div>
+            <div style="color: ${vadResult.isSpeech ? "#4CAF50" : "#ccc"};">発話判定: ${gateStateLabels[vadResult.gateState]} (信頼度 ${vadResult.confidence.toFixed(2)})</div>
+            <div>最短発話: ${this.minSpeechDuration}ms / 保持時間: ${this.hangTime}ms</div>
+            <div>無音時間: ${this.silenceDuration.toFixed(1)}s / ${this.getMuteDelay().toFixed(1)}s${this.countdown.isShowing() ? " (カウントダウン中)" : ""}</div>
+            <div>ミュート状態: ${this.isMuted ? `ON（${muteSourceLabels[this.muteSource] || "不明"}）` : "OFF"} (動作モード: ${OPERATING_MODE_LABELS[this.operatingMode]})</div>
+            ${this.lastMuteActionError ? `<div style="color: #f44336;">操作エラー: ${this.lastMuteActionError}</div>` : ""}
+            <div>監視状態: ${this.isMonitoring ? "ON" : "OFF"} (会議: ${this.lifecycle.state})</div>
             <div style="color: ${isInCooldown ? "#FFA500" : "#4CAF50"};">クールダウン: ${isInCooldown ? `${cooldownRemaining.toFixed(1)}s` : "完了"}</div>
             <div style="font-size: 10px; color: #ccc;">Ctrl+D / Cmd+D でミュート切り替え</div>
           </div>
@@ -548,17 +1798,290 @@ class AudioLevelMonitor {
   }
 
   /**
-   * 音量閾値を動的に調整
+   * 自動閾値が有効かどうか（自動モードかつノイズフロアの推定が完了している）
+   */
+  isAutoThresholdActive() {
+    return this.sensitivityMode === "auto" && this.noiseFloor.isReady();
+  }
+
+  /**
+   * 実際の判定に使う閾値（dBFS）を取得
+   */
+  getEffectiveThresholdDb() {
+    if (!this.isAutoThresholdActive()) {
+      return this.volumeThresholdDb;
+    }
+    // ノイズフロアにマージンを上乗せし、設定可能な閾値の範囲に収める
+    return Math.min(-10, Math.max(-80, this.noiseFloor.noiseFloorDb + this.noiseFloorMargin));
+  }
+
+  /**
+   * 発話の終了を判定する閾値（dBFS）を取得（開始閾値からヒステリシス幅だけ低い）
+   */
+  getReleaseThresholdDb() {
+    return this.getEffectiveThresholdDb() - this.hysteresisDb;
+  }
+
+  /**
+   * 音量閾値（dBFS）を動的に調整
    */
   adjustVolumeThreshold(newThreshold) {
-    this.volumeThreshold = newThreshold;
-    console.log("Auto 3s Mute: 音量閾値を", newThreshold, "に変更しました");
+    this.volumeThresholdDb = SettingsManager.normalizeValue("volumeThresholdDb", newThreshold);
+    console.log("Auto 3s Mute: 音量閾値を", this.volumeThresholdDb, "dBFSに変更しました");
+  }
+
+  /**
+   * 会議画面の状態の変化を処理（通話中だけマイクを取得し、状態の変化をバックグラウンドに送る）
+   */
+  handleLifecycleChange(state, previous, details) {
+    // 退出する会議の集計は、退出の通知より先に送る
+    if (previous === "in-call") {
+      this.reportAnalytics();
+    }
+
+    MessageProtocol.notify("MEETING_LIFECYCLE", {
+      state: state,
+      previousState: previous,
+      meetingCode: details.meetingCode,
+      previousMeetingCode: details.previousMeetingCode,
+      timestamp: Date.now(),
+    });
+
+    // 通話から退出した（または別の会議に移った）場合はマイクを解放する
+    if (previous === "in-call") {
+      console.log("Auto 3s Mute: 通話から退出したため、マイクを解放します");
+      this.stopMonitoring();
+      this.isMuted = false;
+      this.lastMuteState = false;
+      this.muteSource = null;
+      this.monitorError = null;
+    }
+
+    if (state === "in-call") {
+      // 新しい会議ではプロンプトの抑止、自動ミュート解除の一時停止と話した時間の集計をリセットする
+      this.resetTalkingPromptState();
+      this.autoUnmutePaused = false;
+      this.analytics.reset();
+      if (this.enabled) {
+        console.log("Auto 3s Mute: 通話に参加したため、監視を開始します");
+        this.init();
+      }
+    }
+    this.reportTabState();
+  }
+
+  /**
+   * キーボードショートカット、または通知のボタンの操作を実行
+   * @param {string} reason 操作の理由として記録する値（"command": キーボードショートカット / "notification": 通知のボタン）
+   * @returns {Promise<Object>} 実行結果（success: 成功したか, error: 失敗の理由）
+   */
+  async handleCommand(command, reason = "command") {
+    switch (command) {
+      case "toggle-enabled": {
+        const enabled = !this.enabled;
+        // 保存すると各タブの handleSettingsChange で監視が開始・停止される
+        await this.settingsManager.save({ enabled: enabled });
+        console.log(`Auto 3s Mute: キーボードショートカットで${enabled ? "有効" : "無効"}にしました`);
+        return { success: true, enabled: enabled };
+      }
+      case "mute-now":
+        if (this.lifecycle.state !== "in-call") {
+          return { success: false, error: "not-in-call" };
+        }
+        await this.autoMute(reason);
+        return { success: this.isMuted, error: this.isMuted ? null : this.lastMuteActionError };
+      case "unmute-now":
+        if (this.lifecycle.state !== "in-call") {
+          return { success: false, error: "not-in-call" };
+        }
+        await this.autoUnmute(reason);
+        return { success: !this.isMuted, error: this.isMuted ? this.lastMuteActionError : null };
+      case "pause-auto-unmute":
+        this.autoUnmutePaused = true;
+        // 表示中の「話していますか？」プロンプトも閉じる
+        this.prompt.hide("unmute");
+        console.log("Auto 3s Mute: 自動ミュート解除を一時停止しました");
+        return { success: true };
+      case "resume-auto-unmute":
+        this.autoUnmutePaused = false;
+        console.log("Auto 3s Mute: 自動ミュート解除を再開しました");
+        return { success: true };
+      default:
+        return { success: false, error: "unknown-command" };
+    }
+  }
+
+  /**
+   * ポップアップのレベルメーターに表示する現在の音量レベルと状態
+   */
+  getLevelSnapshot() {
+    return {
+      enabled: this.enabled,
+      monitoring: this.isMonitoring,
+      lifecycleState: this.lifecycle.state,
+      levelDb: this.lastVadResult ? this.lastVadResult.levelDb : null,
+      isSpeech: this.lastVadResult ? this.lastVadResult.isSpeech : false,
+      thresholdDb: this.getEffectiveThresholdDb(),
+      releaseThresholdDb: this.getReleaseThresholdDb(),
+      autoThreshold: this.isAutoThresholdActive(),
+      silenceDuration: this.silenceDuration,
+      muteDelay: this.getMuteDelay(),
+      isMuted: this.micButton.isMuted, // マイクボタンから読み取った実際の状態（見つからない場合はnull）
+      muteSource: this.muteSource,
+      snoozed: this.isSnoozed(),
+    };
+  }
+
+  /**
+   * 接続中のポップアップ（指定した場合はその接続だけ）に音量レベルを送る
+   */
+  postLevel(targetPort = null) {
+    const ports = targetPort ? [targetPort] : Array.from(this.levelPorts);
+    if (ports.length === 0) return;
+
+    let message;
+    try {
+      message = MessageProtocol.create("LEVEL", this.getLevelSnapshot());
+    } catch (error) {
+      // 表示用の値が不正でも音声の解析は止めない
+      console.error("Auto 3s Mute: 音量レベルを送信できませんでした:", error);
+      return;
+    }
+    for (const port of ports) {
+      port.postMessage(message);
+    }
+  }
+
+  /**
+   * バックグラウンドやポップアップからのメッセージを処理
+   * @returns {*} 応答の結果（Promiseの場合は解決した値を応答する）
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case "COMMAND":
+        return this.handleCommand(message.command, message.reason || "command");
+      case "SNOOZE_STATE":
+        this.applySnooze(message.snooze);
+        return null;
+      case "SETTINGS_UPDATE":
+        // 保存済みの設定と同じ値は変化がないため、有効/無効が変わった場合だけ監視が開始・停止される
+        this.handleSettingsChange(SettingsManager.normalize(message.settings));
+        return null;
+      case "GET_STATE":
+        return this.getState();
+      case "GET_LEVEL":
+        return this.getLevelSnapshot();
+      default:
+        throw new ProtocolError("unknown-type", `content scriptでは処理できないメッセージタイプです（${message.type}）`);
+    }
+  }
+
+  /**
+   * 現在の状態（GET_STATE の応答）
+   */
+  getState() {
+    return {
+      ...this.getTabState(),
+      enabled: this.enabled,
+      operatingMode: this.operatingMode,
+      lifecycleState: this.lifecycle.state,
+      meetingCode: this.lifecycle.meetingCode,
+      monitoring: this.isMonitoring,
+      isMuted: this.isMuted,
+      muteSource: this.muteSource,
+      manualMuteLocked: this.isManualMuteLocked(),
+      autoUnmutePaused: this.autoUnmutePaused,
+      snooze: this.snooze,
+      lastMuteActionError: this.lastMuteActionError,
+    };
+  }
+
+  /**
+   * バックグラウンドから届いた一時停止を反映し、一時停止中の表示を切り替える
+   */
+  applySnooze(snooze) {
+    // GET_SNOOZE の応答は結果の中身までは検証されないため、ここで一時停止の形を確認する
+    const error = snooze ? MessageProtocol.validateFields(snooze, SNOOZE_FIELDS, "snooze") : null;
+    if (error) {
+      console.error(`Auto 3s Mute: 一時停止の状態が正しくありません (${error.message})`);
+      snooze = null;
+    }
+    this.snooze = snooze;
+    if (this.isSnoozed()) {
+      console.log(`Auto 3s Mute: 自動ミュートを一時停止しました (${snooze.until === null ? "会議が終わるまで" : new Date(snooze.until).toLocaleTimeString()})`);
+      this.prompt.hide("mute");
+      this.prompt.hide("unmute");
+      this.countdown.hide();
+      this.pausedIndicator.show(
+        snooze.until,
+        () => MessageProtocol.notify("RESUME_SNOOZE"),
+        // バックグラウンドのアラームより先に終了時刻を過ぎた場合もその場で再開する
+        () => this.applySnooze(null)
+      );
+    } else {
+      this.pausedIndicator.hide();
+    }
+    this.reportTabState();
+    this.postLevel();
+  }
+
+  /**
+   * 一時停止中かどうか（終了時刻を過ぎた場合は一時停止していないとみなす）
+   */
+  isSnoozed() {
+    return this.snooze !== null && (this.snooze.until === null || Date.now() < this.snooze.until);
+  }
+
+  /**
+   * ツールバーのアイコンに表示するタブの状態を判定
+   * @returns {{state: string, error: string|null}}
+   */
+  getTabState() {
+    if (!this.enabled) return { state: "disabled", error: null };
+    if (this.lifecycle.state !== "in-call") return { state: "no-meeting", error: null };
+    if (this.isSnoozed()) return { state: "snoozed", error: null };
+    if (this.monitorError) return { state: "error", error: this.monitorError };
+    if (this.isMonitoring && this.micButton.isMuted === null) return { state: "error", error: "button-not-found" };
+    if (this.isMuted) return { state: this.muteSource === "auto" ? "auto-muted" : "manual-muted", error: null };
+    return { state: "live", error: null };
+  }
+
+  /**
+   * タブの状態が変わった場合だけバックグラウンドに送る（アイコンとバッジの更新用）
+   */
+  reportTabState() {
+    const { state, error } = this.getTabState();
+    const key = `${state}:${error}`;
+    if (key === this.reportedTabState) return;
+    this.reportedTabState = key;
+
+    MessageProtocol.notify("TAB_STATE", {
+      state: state,
+      error: error,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * 会議中の話した時間の集計をバックグラウンドに送る（会議ごとの最新の値で上書きされる）
+   */
+  reportAnalytics() {
+    this.lastAnalyticsReportTime = Date.now();
+    if (this.analytics.monitoredTime === 0) return;
+
+    MessageProtocol.notify("SPEAKING_ANALYTICS", {
+      analytics: this.analytics.getSummary(),
+      timestamp: Date.now(),
+    });
   }
 
   /**
    * Google Meetの状態変化を監視
    */
   setupMeetStateWatcher() {
+    // 画面の切り替え（ホーム / 待機画面 / 通話中 / 退出後）を監視
+    this.lifecycle.start();
+
     // ページの可視性変化を監視
     document.addEventListener("visibilitychange", () => {
       if (!document.hidden && this.enabled) {
@@ -573,6 +2096,7 @@ class AudioLevelMonitor {
       if (window.location.href !== currentUrl) {
         currentUrl = window.location.href;
         console.log("Auto 3s Mute: URLが変更されました:", currentUrl);
+        this.lifecycle.update();
         if (currentUrl.includes("meet.google.com") && this.enabled) {
           setTimeout(() => this.ensureMonitoring(), 1000);
         }
@@ -582,6 +2106,17 @@ class AudioLevelMonitor {
     // ページ離脱時にクリーンアップ
     window.addEventListener("beforeunload", () => {
       clearInterval(urlWatcher);
+      this.lifecycle.stop();
+      // 再読み込みや別のページへの移動も退出として送り、新しいページで参加する前に会議の記録を終える
+      if (this.lifecycle.state === "in-call") {
+        this.reportAnalytics();
+        MessageProtocol.notify("MEETING_LIFECYCLE", {
+          state: "post-call",
+          previousState: "in-call",
+          previousMeetingCode: this.lifecycle.meetingCode,
+          timestamp: Date.now(),
+        });
+      }
     });
   }
 
@@ -589,12 +2124,19 @@ class AudioLevelMonitor {
    * 監視が確実に動作しているかチェック
    */
   ensureMonitoring() {
-    if (!this.enabled) return;
+    if (!this.enabled || this.lifecycle.state !== "in-call") return;
 
     // 監視が停止している場合は再開
-    if (!this.isMonitoring || !this.analyser) {
+    if (!this.isMonitoring || !this.workletNode) {
       console.log("Auto 3s Mute: 監視が停止しているため再開します");
       this.restartMonitoring();
+      return;
+    }
+
+    // AudioContextが一時停止している場合は解析フレームが届かないため再開する
+    if (this.audioContext && this.audioContext.state === "suspended") {
+      console.log("Auto 3s Mute: AudioContextが一時停止しているため再開します");
+      this.audioContext.resume();
     }
   }
 
@@ -624,16 +2166,32 @@ class AudioLevelMonitor {
       this.audioContext.close();
       this.audioContext = null;
     }
-    if (this.analyser) {
-      this.analyser = null;
+    if (this.workletNode) {
+      this.workletNode.port.postMessage({ type: "stop" });
+      this.workletNode.port.onmessage = null;
+      this.workletNode = null;
     }
     if (this.microphone) {
       this.microphone = null;
     }
+    if (this.stream) {
+      // トラックを停止してマイクを解放する（ブラウザの録音中の表示も消える）
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+    this.lastVadResult = null;
+    this.speechGate.reset();
+    this.prompt.hide();
+    this.countdown.hide();
+    this.extendedSilence = null;
+    this.silenceDuration = 0;
+    this.micButton.stop();
+    this.noiseFloor.reset();
     if (this.debugDisplay) {
       this.debugDisplay.remove();
       this.debugDisplay = null;
     }
+    this.postLevel();
   }
 }
 
@@ -660,15 +2218,40 @@ window.autoMuteDebug = {
       const cooldownRemaining = Math.max(0, audioMonitor.unmuteCooldown - timeSinceLastUnmute);
 
       return {
-        volumeThreshold: audioMonitor.volumeThreshold,
+        volumeThresholdDb: audioMonitor.volumeThresholdDb,
+        operatingMode: audioMonitor.operatingMode,
+        confirmUnmute: audioMonitor.confirmUnmute,
+        autoUnmutePaused: audioMonitor.autoUnmutePaused,
+        snooze: audioMonitor.snooze,
+        talkingPromptSuppressed: audioMonitor.talkingPromptSuppressed,
+        sensitivityMode: audioMonitor.sensitivityMode,
+        monitoringInterval: audioMonitor.monitoringInterval,
+        notificationSound: audioMonitor.notificationSound,
+        noiseFloorDb: audioMonitor.noiseFloor.noiseFloorDb,
+        noiseFloorMargin: audioMonitor.noiseFloorMargin,
+        effectiveThresholdDb: audioMonitor.getEffectiveThresholdDb(),
+        releaseThresholdDb: audioMonitor.getReleaseThresholdDb(),
+        minSpeechDuration: audioMonitor.minSpeechDuration,
+        hangTime: audioMonitor.hangTime,
+        gateState: audioMonitor.speechGate.state,
         silenceDuration: audioMonitor.silenceDuration,
         maxSilenceDuration: audioMonitor.maxSilenceDuration,
         isMuted: audioMonitor.isMuted,
+        analytics: audioMonitor.analytics.getSummary(),
+        micButton: audioMonitor.micButton.button ? "OK" : "NG",
+        muteSource: audioMonitor.muteSource,
+        pendingMuteAction: audioMonitor.pendingMuteAction,
+        lastMuteActionError: audioMonitor.lastMuteActionError,
+        manualMuteLocked: audioMonitor.isManualMuteLocked(),
         isMonitoring: audioMonitor.isMonitoring,
         enabled: audioMonitor.enabled,
+        lifecycleState: audioMonitor.lifecycle.state,
+        meetingCode: audioMonitor.lifecycle.meetingCode,
         audioContext: audioMonitor.audioContext ? "OK" : "NG",
-        analyser: audioMonitor.analyser ? "OK" : "NG",
+        worklet: audioMonitor.workletNode ? "OK" : "NG",
         microphone: audioMonitor.microphone ? "OK" : "NG",
+        isSpeech: audioMonitor.lastVadResult ? audioMonitor.lastVadResult.isSpeech : null,
+        vadConfidence: audioMonitor.lastVadResult ? audioMonitor.lastVadResult.confidence : null,
         lastUnmuteTime: audioMonitor.lastUnmuteTime,
         unmuteCooldown: audioMonitor.unmuteCooldown,
         isInCooldown: isInCooldown,
@@ -688,9 +2271,9 @@ window.autoMuteDebug = {
   toggleMute: () => {
     if (audioMonitor) {
       if (audioMonitor.isMuted) {
-        audioMonitor.autoUnmute();
+        audioMonitor.autoUnmute("debug");
       } else {
-        audioMonitor.autoMute();
+        audioMonitor.autoMute("debug");
       }
     }
   },
@@ -708,9 +2291,9 @@ window.autoMuteDebug = {
         isMonitoring: audioMonitor.isMonitoring,
         enabled: audioMonitor.enabled,
         audioContext: audioMonitor.audioContext ? "OK" : "NG",
-        analyser: audioMonitor.analyser ? "OK" : "NG",
+        worklet: audioMonitor.workletNode ? "OK" : "NG",
         microphone: audioMonitor.microphone ? "OK" : "NG",
-        dataArray: audioMonitor.dataArray ? "OK" : "NG",
+        lastFrameTime: audioMonitor.lastVadResult ? audioMonitor.lastVadResult.time : null,
       };
       console.log("Auto 3s Mute: 監視状態:", status);
       return status;
@@ -719,18 +2302,17 @@ window.autoMuteDebug = {
   },
   // 現在の音声レベルを取得
   getCurrentVolume: () => {
-    if (audioMonitor && audioMonitor.analyser && audioMonitor.dataArray) {
-      audioMonitor.analyser.getByteFrequencyData(audioMonitor.dataArray);
-      const averageVolume = audioMonitor.calculateAverageVolume();
-      console.log(`Auto 3s Mute: 現在の音声レベル: ${averageVolume.toFixed(4)}`);
-      return averageVolume;
+    if (audioMonitor && audioMonitor.lastVadResult) {
+      const { levelDb, confidence } = audioMonitor.lastVadResult;
+      console.log(`Auto 3s Mute: 現在の音声レベル: ${levelDb.toFixed(1)} dBFS (発話信頼度: ${confidence.toFixed(2)})`);
+      return levelDb;
     }
     return null;
   },
   // マイクボタンの検索
   findMuteButton: () => {
     if (audioMonitor) {
-      const button = audioMonitor.findMuteButton();
+      const button = audioMonitor.micButton.findMuteButton();
       if (button) {
         console.log("Auto 3s Mute: マイクボタンを発見しました:", button);
         console.log("Auto 3s Mute: ボタンの属性:", {
@@ -770,9 +2352,9 @@ window.autoMuteDebug = {
   // 実際のミュート状態を確認
   getActualMuteState: () => {
     if (audioMonitor) {
-      const button = audioMonitor.findMuteButton();
+      const button = audioMonitor.micButton.findMuteButton();
       if (button) {
-        const isMuted = audioMonitor.isButtonMuted(button);
+        const isMuted = audioMonitor.micButton.isButtonMuted(button);
         console.log(`Auto 3s Mute: 実際のミュート状態: ${isMuted}`);
         return isMuted;
       } else {
@@ -799,31 +2381,3 @@ window.autoMuteDebug = {
     return null;
   },
 };
-
-// 設定変更の監視
-chrome.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === "sync" && audioMonitor) {
-    console.log("Auto 3s Mute: 設定が変更されました", changes);
-
-    // 各設定の変更を処理（ページリロードなし）
-    if (changes.volumeThreshold) {
-      audioMonitor.volumeThreshold = parseFloat(changes.volumeThreshold.newValue) || 0.01;
-      console.log("Auto 3s Mute: 音量閾値を更新しました:", audioMonitor.volumeThreshold);
-    }
-
-    if (changes.silenceDuration) {
-      audioMonitor.maxSilenceDuration = parseInt(changes.silenceDuration.newValue) || 3;
-      console.log("Auto 3s Mute: 無音時間を更新しました:", audioMonitor.maxSilenceDuration);
-    }
-
-    if (changes.enabled) {
-      audioMonitor.enabled = Boolean(changes.enabled.newValue);
-      console.log("Auto 3s Mute: 有効/無効を更新しました:", audioMonitor.enabled);
-    }
-
-    if (changes.showNotifications) {
-      audioMonitor.showNotifications = Boolean(changes.showNotifications.newValue);
-      console.log("Auto 3s Mute: 通知設定を更新しました:", audioMonitor.showNotifications);
-    }
-  }
-});
@@ -0,0 +1,363 @@
+// すべてのコンテキスト（content script / background / popup / options）で共有するメッセージの定義と送受信
+
+/**
+ * メッセージのプロトコルのバージョン（互換性のない変更をしたら上げる）
+ */
+const PROTOCOL_VERSION = 1;
+
+/**
+ * タブの一時停止（until: 終了時刻（ms）、nullは会議が終わるまで / startedAt: 開始時刻（ms））
+ */
+const SNOOZE_FIELDS = {
+  until: { type: "number", nullable: true },
+  startedAt: { type: "number" },
+};
+
+/**
+ * メッセージの種類ごとのスキーマ（to: 受け取るコンテキスト、fields: 項目・型・省略可否）
+ * 項目の型は "string" | "number" | "boolean" | "object"（fieldsを指定した場合はその項目も検証する） | "array" | "enum"（valuesのいずれか）
+ * optional は項目の省略（undefined / null）を、nullable はnullだけを許可する
+ */
+const MESSAGE_SCHEMAS = {
+  // content script → background（ミュートの記録と統計）
+  AUTO_MUTED: {
+    to: ["background"],
+    fields: {
+      muteSource: { type: "enum", values: ["auto", "manual"] },
+      reason: { type: "string" },
+      method: { type: "enum", values: ["shortcut", "click"] },
+      timestamp: { type: "number" },
+    },
+  },
+  AUTO_UNMUTED: {
+    to: ["background"],
+    fields: {
+      muteSource: { type: "enum", values: ["auto", "manual"], optional: true },
+      reason: { type: "string" },
+      method: { type: "enum", values: ["shortcut", "click"] },
+      timestamp: { type: "number" },
+    },
+  },
+  MANUAL_MUTED: {
+    to: ["background"],
+    fields: { reason: { type: "string" }, timestamp: { type: "number" } },
+  },
+  MANUAL_UNMUTED: {
+    to: ["background"],
+    fields: {
+      muteSource: { type: "enum", values: ["auto", "manual"], optional: true },
+      reason: { type: "string" },
+      timestamp: { type: "number" },
+    },
+  },
+  AUTO_UNMUTE_BLOCKED: {
+    to: ["background"],
+    fields: {
+      muteSource: { type: "enum", values: ["auto", "manual"], optional: true },
+      reason: { type: "string" },
+      timestamp: { type: "number" },
+    },
+  },
+  MUTE_ACTION_FAILED: {
+    to: ["background"],
+    fields: {
+      action: { type: "enum", values: ["mute", "unmute"] },
+      reason: { type: "string" },
+      error: { type: "string", optional: true },
+      timestamp: { type: "number" },
+    },
+  },
+
+  // content script → background（会議とタブの状態）
+  MEETING_LIFECYCLE: {
+    to: ["background"],
+    fields: {
+      state: { type: "enum", values: ["home", "lobby", "in-call", "post-call"] },
+      previousState: { type: "enum", values: ["home", "lobby", "in-call", "post-call"], optional: true },
+      meetingCode: { type: "string", optional: true },
+      previousMeetingCode: { type: "string", optional: true },
+      timestamp: { type: "number" },
+    },
+  },
+  SPEAKING_ANALYTICS: {
+    to: ["background"],
+    fields: { analytics: { type: "object" }, timestamp: { type: "number" } },
+  },
+  TAB_STATE: {
+    to: ["background"],
+    fields: {
+      state: { type: "enum", values: ["live", "auto-muted", "manual-muted", "snoozed", "disabled", "error", "no-meeting"] },
+      error: { type: "string", optional: true },
+      timestamp: { type: "number" },
+    },
+  },
+
+  // content script / popup → background（一時停止。content scriptからはタブIDを省略する）
+  SNOOZE: {
+    to: ["background"],
+    fields: { tabId: { type: "number", optional: true }, minutes: { type: "number", optional: true } },
+  },
+  RESUME_SNOOZE: {
+    to: ["background"],
+    fields: { tabId: { type: "number", optional: true } },
+  },
+  GET_SNOOZE: {
+    to: ["background"],
+    fields: { tabId: { type: "number", optional: true } },
+  },
+
+  // popup / options → background（統計と会議の履歴）
+  GET_STATS: { to: ["background"], fields: {} },
+  RESET_STATS: { to: ["background"], fields: {} },
+  GET_SESSIONS: { to: ["background"], fields: {} },
+  DELETE_SESSION: {
+    to: ["background"],
+    fields: { sessionId: { type: "string" } },
+  },
+  IMPORT_SESSIONS: {
+    to: ["background"],
+    fields: { sessions: { type: "array" } },
+  },
+
+  // background → content script
+  SETTINGS_UPDATE: {
+    to: ["content"],
+    fields: { settings: { type: "object" } },
+  },
+  COMMAND: {
+    to: ["content"],
+    fields: {
+      command: { type: "enum", values: ["toggle-enabled", "mute-now", "unmute-now", "pause-auto-unmute", "resume-auto-unmute"] },
+      reason: { type: "enum", values: ["command", "notification"], optional: true },
+    },
+  },
+  SNOOZE_STATE: {
+    to: ["content"],
+    fields: { snooze: { type: "object", fields: SNOOZE_FIELDS, optional: true } },
+  },
+
+  // background / popup → content script（現在の状態と音量レベルの問い合わせ）
+  GET_STATE: { to: ["content"], fields: {} },
+  GET_LEVEL: { to: ["content"], fields: {} },
+
+  // content script → popup（レベルメーターの接続で解析フレームごとに送る）
+  LEVEL: {
+    to: ["popup"],
+    fields: {
+      enabled: { type: "boolean" },
+      monitoring: { type: "boolean" },
+      lifecycleState: { type: "enum", values: ["home", "lobby", "in-call", "post-call"], optional: true },
+      levelDb: { type: "number", optional: true },
+      isSpeech: { type: "boolean" },
+      thresholdDb: { type: "number" },
+      releaseThresholdDb: { type: "number" },
+      autoThreshold: { type: "boolean" },
+      silenceDuration: { type: "number" },
+      muteDelay: { type: "number" },
+      isMuted: { type: "boolean", optional: true },
+      muteSource: { type: "enum", values: ["auto", "manual"], optional: true },
+      snoozed: { type: "boolean" },
+    },
+  },
+};
+
+/**
+ * メッセージの送受信で発生したエラー（codeで原因を判別する）
+ * code: "unknown-type" | "invalid-message" | "unsupported-version" | "no-receiver" | "mismatched-reply" | "timeout" | "handler-error"
+ */
+class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ProtocolError";
+    this.code = code;
+  }
+}
+
+/**
+ * スキーマに従ってメッセージを作成・検証し、要求と応答を対応付けて送受信する
+ */
+class MessageProtocol {
+  /**
+   * 応答を待つ時間の既定値（ms）
+   */
+  static get defaultTimeout() {
+    return 10000;
+  }
+
+  /**
+   * メッセージを作成（スキーマに合わない場合は送信前にProtocolErrorを投げる）
+   */
+  static create(type, fields = {}) {
+    const message = { ...fields, type: type, version: PROTOCOL_VERSION, id: crypto.randomUUID() };
+    const error = MessageProtocol.validate(message);
+    if (error) {
+      throw new ProtocolError(error.code, error.message);
+    }
+    return message;
+  }
+
+  /**
+   * 受け取ったメッセージを検証
+   * @returns {{code: string, message: string}|null} 誤りの内容（正しい場合はnull）
+   */
+  static validate(message) {
+    if (!message || typeof message !== "object" || typeof message.type !== "string") {
+      return { code: "invalid-message", message: "メッセージの種類がありません" };
+    }
+    if (message.version !== PROTOCOL_VERSION) {
+      return { code: "unsupported-version", message: `対応していないバージョンです（受信: ${message.version}, 対応: ${PROTOCOL_VERSION}）` };
+    }
+    const schema = MESSAGE_SCHEMAS[message.type];
+    if (!schema) {
+      return { code: "unknown-type", message: `未知のメッセージタイプです（${message.type}）` };
+    }
+    return MessageProtocol.validateFields(message, schema.fields, message.type);
+  }
+
+  /**
+   * オブジェクトの項目をスキーマの項目の定義で検証（入れ子のオブジェクトも検証する）
+   * @param {string} path 誤りの内容に表示する場所（メッセージタイプなど）
+   * @returns {{code: string, message: string}|null} 誤りの内容（正しい場合はnull）
+   */
+  static validateFields(object, fields, path) {
+    for (const [key, field] of Object.entries(fields)) {
+      const value = object[key];
+      if (value === null && field.nullable) continue;
+      if (value === undefined || value === null) {
+        if (field.optional) continue;
+        return { code: "invalid-message", message: `${path} に ${key} がありません` };
+      }
+      if (!MessageProtocol.matchesType(value, field)) {
+        return { code: "invalid-message", message: `${path} の ${key} が正しくありません（${JSON.stringify(value)}）` };
+      }
+      if (field.type === "object" && field.fields) {
+        const error = MessageProtocol.validateFields(value, field.fields, `${path}.${key}`);
+        if (error) return error;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 値が項目の型に合うかどうか
+   */
+  static matchesType(value, field) {
+    switch (field.type) {
+      case "string":
+        return typeof value === "string";
+      case "number":
+        return typeof value === "number" && Number.isFinite(value);
+      case "boolean":
+        return typeof value === "boolean";
+      case "object":
+        return typeof value === "object" && !Array.isArray(value);
+      case "array":
+        return Array.isArray(value);
+      case "enum":
+        return field.values.includes(value);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 要求に対する成功の応答を作成
+   */
+  static createReply(request, result) {
+    return { version: PROTOCOL_VERSION, replyTo: request.id, ok: true, result: result === undefined ? null : result };
+  }
+
+  /**
+   * 要求に対するエラーの応答を作成
+   */
+  static createErrorReply(request, code, message) {
+    return { version: PROTOCOL_VERSION, replyTo: request && request.id, ok: false, error: { code: code, message: message } };
+  }
+
+  /**
+   * メッセージを送信して応答の結果を受け取る（tabIdを指定した場合はそのタブのcontent scriptに送る）
+   * @returns {Promise<*>} 応答の結果（エラーの応答・応答なし・時間切れの場合はProtocolErrorで失敗する）
+   */
+  static send(type, fields = {}, options = {}) {
+    const { tabId, timeout = MessageProtocol.defaultTimeout } = options;
+    const message = MessageProtocol.create(type, fields);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new ProtocolError("timeout", `${type} の応答がありません`)), timeout);
+      const callback = (response) => {
+        clearTimeout(timer);
+        if (chrome.runtime.lastError) {
+          reject(new ProtocolError("no-receiver", chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || response.replyTo !== message.id) {
+          reject(new ProtocolError("mismatched-reply", `${type} に対応する応答ではありません`));
+          return;
+        }
+        if (response.version !== PROTOCOL_VERSION) {
+          reject(new ProtocolError("unsupported-version", `対応していないバージョンの応答です（${response.version}）`));
+          return;
+        }
+        if (!response.ok) {
+          reject(new ProtocolError(response.error.code, response.error.message));
+          return;
+        }
+        resolve(response.result);
+      };
+
+      try {
+        if (tabId !== undefined) {
+          chrome.tabs.sendMessage(tabId, message, callback);
+        } else {
+          chrome.runtime.sendMessage(message, callback);
+        }
+      } catch (error) {
+        // 拡張機能の更新後に古いcontent scriptから送信した場合など
+        clearTimeout(timer);
+        reject(new ProtocolError("no-receiver", error.message));
+      }
+    });
+  }
+
+  /**
+   * 結果を待たずにメッセージを送信（イベントの通知用。失敗はコンソールに記録するだけ）
+   */
+  static notify(type, fields = {}, options = {}) {
+    MessageProtocol.send(type, fields, options).catch((error) => {
+      console.log(`Auto 3s Mute: ${type} を送信できませんでした (${error.code}: ${error.message})`);
+    });
+  }
+
+  /**
+   * このコンテキスト宛てのメッセージを受信して、handlerの戻り値（Promiseも可）を応答する
+   * @param {string} context 受信するコンテキスト（"background" | "content" | "popup"）
+   * @param {Function} handler (message, sender) => 結果
+   */
+  static listen(context, handler) {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      const schema = message && MESSAGE_SCHEMAS[message.type];
+      // 他のコンテキスト宛てのメッセージには応答しない（同じメッセージを受け取るポップアップや設定画面と競合しないようにする）
+      // 未知のメッセージタイプにはbackgroundだけがエラーを応答する
+      if (schema ? !schema.to.includes(context) : context !== "background") return false;
+
+      const error = MessageProtocol.validate(message);
+      if (error) {
+        console.error(`Auto 3s Mute: 不正なメッセージを受信しました (${error.code}: ${error.message})`, message);
+        sendResponse(MessageProtocol.createErrorReply(message, error.code, error.message));
+        return false;
+      }
+
+      // 非同期で応答するためtrueを返してチャネルを開いたままにする
+      Promise.resolve()
+        .then(() => handler(message, sender))
+        .then(
+          (result) => sendResponse(MessageProtocol.createReply(message, result)),
+          (handlerError) => {
+            console.error(`Auto 3s Mute: ${message.type} の処理に失敗しました:`, handlerError);
+            sendResponse(MessageProtocol.createErrorReply(message, handlerError.code || "handler-error", handlerError.message));
+          }
+        );
+      return true;
+    });
+  }
+}
@@ -1,15 +1,146 @@
 // Options page の制御スクリプト
-class OptionsController {
+
+/**
+ * 会議の履歴に表示するイベントの名前
+ */
+const SESSION_EVENT_LABELS = {
+  AUTO_MUTED: "自動ミュート",
+  AUTO_UNMUTED: "自動ミュート解除",
+  MANUAL_MUTED: "手動ミュート",
+  MANUAL_UNMUTED: "手動ミュート解除",
+  AUTO_UNMUTE_BLOCKED: "自動ミュート解除を見送り",
+  MUTE_ACTION_FAILED: "操作に失敗",
+};
+
+/**
+ * 会議の履歴に表示するイベントの理由
+ */
+const SESSION_REASON_LABELS = {
+  silence: "無音が続いた",
+  speech: "発話を検出",
+  prompt: "プロンプトから操作",
+  retry: "失敗後の再試行",
+  command: "キーボードショートカット",
+  notification: "通知から操作",
+  debug: "デバッグコマンド",
+  manual: "ユーザーの操作",
+  "manual-lock": "手動ミュート中",
+};
+
+/**
+ * 会議の履歴のエクスポートファイルの識別子とバージョン
+ */
+const HISTORY_FILE_FORMAT = "auto-3s-mute-history";
+const HISTORY_FILE_VERSION = 1;
+
+/**
+ * 会議の履歴をCSVでエクスポートする際の列
+ */
+const HISTORY_CSV_COLUMNS = [
+  "record",
+  "session_id",
+  "meeting_code",
+  "joined_at",
+  "left_at",
+  "time",
+  "offset_seconds",
+  "type",
+  "reason",
+  "method",
+  "error",
+  "monitored_time",
+  "speaking_time",
+  "muted_time",
+  "longest_turn",
+  "turn_count",
+  "talk_ratio",
+];
+
+/**
+ * キャリブレーション用にマイクのレベル（dBFS）をフレームごとに記録する
+ */
+class MicrophoneCalibrator {
   constructor() {
-    this.settings = {
-      enabled: true,
-      volumeThreshold: 0.01,
-      silenceDuration: 3,
-      showNotifications: false,
-      notificationSound: false,
-      monitoringInterval: 100,
-      sensitivityMode: "normal",
+    this.stream = null;
+    this.audioContext = null;
+    this.workletNode = null;
+    this.onFrame = null; // 解析フレームの受け取り先
+  }
+
+  /**
+   * マイクを開く（content scriptと同じ制約・同じ解析処理を使い、レベルの尺度を揃える）
+   */
+  async open() {
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: true,
+      },
+    });
+    this.audioContext = new AudioContext();
+    await this.audioContext.audioWorklet.addModule("audio-processor.js");
+    this.workletNode = new AudioWorkletNode(this.audioContext, "audio-level-processor", {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      processorOptions: { fftSize: 2048 },
+    });
+    this.workletNode.port.onmessage = (event) => {
+      if (event.data.type === "frame" && this.onFrame) {
+        this.onFrame(event.data);
+      }
     };
+    this.audioContext.createMediaStreamSource(this.stream).connect(this.workletNode);
+  }
+
+  /**
+   * 指定秒数の解析フレームを記録
+   */
+  record(seconds, onProgress) {
+    return new Promise((resolve) => {
+      const frames = [];
+      let startTime = null;
+      this.onFrame = (frame) => {
+        if (startTime === null) {
+          startTime = frame.time - frame.duration;
+        }
+        frames.push(frame);
+        const elapsed = frame.time - startTime;
+        onProgress(Math.min(1, elapsed / seconds));
+        if (elapsed >= seconds) {
+          this.onFrame = null;
+          resolve(frames);
+        }
+      };
+    });
+  }
+
+  /**
+   * マイクを解放
+   */
+  close() {
+    this.onFrame = null;
+    if (this.workletNode) {
+      this.workletNode.port.postMessage({ type: "stop" });
+      this.workletNode = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+  }
+}
+
+class OptionsController {
+  constructor() {
+    this.settingsManager = new SettingsManager();
+    this.settings = SettingsManager.getDefaults();
+    this.calibrationResult = null; // 直近のキャリブレーション結果
+    this.sessions = []; // 会議の履歴（新しい順）
 
     this.init();
   }
@@ -21,20 +152,74 @@ class OptionsController {
     // DOM要素を取得
     this.elements = {
       enabled: document.getElementById("enabled"),
+      operatingMode: document.getElementById("operatingMode"),
+      confirmUnmute: document.getElementById("confirmUnmute"),
+      autoUnmuteManualMute: document.getElementById("autoUnmuteManualMute"),
       volumeThreshold: document.getElementById("volumeThreshold"),
       thresholdValue: document.getElementById("thresholdValue"),
       silenceDuration: document.getElementById("silenceDuration"),
       durationValue: document.getElementById("durationValue"),
       showNotifications: document.getElementById("showNotifications"),
       notificationSound: document.getElementById("notificationSound"),
+      notificationVolume: document.getElementById("notificationVolume"),
+      volumeValue: document.getElementById("volumeValue"),
+      notificationVolumeGroup: document.getElementById("notificationVolumeGroup"),
+      countdownLeadTime: document.getElementById("countdownLeadTime"),
+      leadTimeValue: document.getElementById("leadTimeValue"),
+      countdownStyleGroup: document.getElementById("countdownStyleGroup"),
+      countdownPosition: document.getElementById("countdownPosition"),
+      countdownSize: document.getElementById("countdownSize"),
       monitoringInterval: document.getElementById("monitoringInterval"),
       intervalValue: document.getElementById("intervalValue"),
       sensitivityMode: document.getElementById("sensitivityMode"),
+      noiseFloorMargin: document.getElementById("noiseFloorMargin"),
+      marginValue: document.getElementById("marginValue"),
+      noiseFloorMarginGroup: document.getElementById("noiseFloorMarginGroup"),
+      hysteresisDb: document.getElementById("hysteresisDb"),
+      hysteresisValue: document.getElementById("hysteresisValue"),
+      minSpeechDuration: document.getElementById("minSpeechDuration"),
+      minSpeechValue: document.getElementById("minSpeechValue"),
+      hangTime: document.getElementById("hangTime"),
+      hangTimeValue: document.getElementById("hangTimeValue"),
       muteCount: document.getElementById("muteCount"),
       unmuteCount: document.getElementById("unmuteCount"),
+      manualMuteCount: document.getElementById("manualMuteCount"),
+      blockedUnmuteCount: document.getElementById("blockedUnmuteCount"),
+      failedActionCount: document.getElementById("failedActionCount"),
       lastActivity: document.getElementById("lastActivity"),
+      historyRetentionDays: document.getElementById("historyRetentionDays"),
+      retentionValue: document.getElementById("retentionValue"),
+      sessionList: document.getElementById("sessionList"),
+      exportFrom: document.getElementById("exportFrom"),
+      exportTo: document.getElementById("exportTo"),
+      exportFormat: document.getElementById("exportFormat"),
+      exportHistory: document.getElementById("exportHistory"),
+      importHistory: document.getElementById("importHistory"),
+      importFile: document.getElementById("importFile"),
+      importErrors: document.getElementById("importErrors"),
+      totalSpeakingTime: document.getElementById("totalSpeakingTime"),
+      totalMutedTime: document.getElementById("totalMutedTime"),
+      longestTurn: document.getElementById("longestTurn"),
+      averageTalkRatio: document.getElementById("averageTalkRatio"),
+      analyticsPeriod: document.getElementById("analyticsPeriod"),
+      rollupChart: document.getElementById("rollupChart"),
+      meetingChart: document.getElementById("meetingChart"),
+      sessionEmpty: document.getElementById("sessionEmpty"),
+      calibrationStep: document.getElementById("calibrationStep"),
+      calibrationPrompt: document.getElementById("calibrationPrompt"),
+      calibrationProgressTrack: document.getElementById("calibrationProgressTrack"),
+      calibrationProgress: document.getElementById("calibrationProgress"),
+      calibrationChart: document.getElementById("calibrationChart"),
+      calibrationResult: document.getElementById("calibrationResult"),
+      calibrationWarning: document.getElementById("calibrationWarning"),
+      recommendedThreshold: document.getElementById("recommendedThreshold"),
+      recommendedDuration: document.getElementById("recommendedDuration"),
+      startCalibration: document.getElementById("startCalibration"),
+      applyCalibration: document.getElementById("applyCalibration"),
       resetStats: document.getElementById("resetStats"),
       exportStats: document.getElementById("exportStats"),
+      commandList: document.getElementById("commandList"),
+      shortcutSettings: document.getElementById("shortcutSettings"),
       saveButton: document.getElementById("saveButton"),
       resetButton: document.getElementById("resetButton"),
     };
@@ -42,9 +227,11 @@ class OptionsController {
     // イベントリスナーを設定
     this.setupEventListeners();
 
-    // 設定と統計を読み込み
+    // 設定と統計、会議の履歴を読み込み
     await this.loadSettings();
     await this.loadStats();
+    await this.loadSessions();
+    await this.loadCommands();
 
     // UIを更新
     this.updateUI();
@@ -59,9 +246,22 @@ class OptionsController {
       this.settings.enabled = e.target.checked;
     });
 
+    this.elements.operatingMode.addEventListener("change", (e) => {
+      this.settings.operatingMode = e.target.value;
+    });
+
+    this.elements.confirmUnmute.addEventListener("change", (e) => {
+      this.settings.confirmUnmute = e.target.checked;
+    });
+
+    this.elements.autoUnmuteManualMute.addEventListener("change", (e) => {
+      this.settings.autoUnmuteManualMute = e.target.checked;
+    });
+
     this.elements.volumeThreshold.addEventListener("input", (e) => {
-      this.settings.volumeThreshold = parseFloat(e.target.value);
-      this.elements.thresholdValue.textContent = this.settings.volumeThreshold.toFixed(2);
+      this.settings.volumeThresholdDb = parseInt(e.target.value);
+      this.elements.thresholdValue.textContent = this.settings.volumeThresholdDb;
+      this.switchToCustomMode();
     });
 
     this.elements.silenceDuration.addEventListener("input", (e) => {
@@ -76,12 +276,33 @@ class OptionsController {
 
     this.elements.notificationSound.addEventListener("change", (e) => {
       this.settings.notificationSound = e.target.checked;
+      this.elements.notificationVolumeGroup.style.display = this.settings.notificationSound ? "block" : "none";
+    });
+
+    this.elements.countdownLeadTime.addEventListener("input", (e) => {
+      this.settings.countdownLeadTime = parseInt(e.target.value);
+      this.elements.leadTimeValue.textContent = this.settings.countdownLeadTime;
+      this.elements.countdownStyleGroup.style.display = this.settings.countdownLeadTime > 0 ? "block" : "none";
+    });
+
+    this.elements.countdownPosition.addEventListener("change", (e) => {
+      this.settings.countdownPosition = e.target.value;
+    });
+
+    this.elements.countdownSize.addEventListener("change", (e) => {
+      this.settings.countdownSize = e.target.value;
+    });
+
+    this.elements.notificationVolume.addEventListener("input", (e) => {
+      this.settings.notificationVolume = parseInt(e.target.value);
+      this.elements.volumeValue.textContent = this.settings.notificationVolume;
     });
 
     // 高度な設定
     this.elements.monitoringInterval.addEventListener("input", (e) => {
       this.settings.monitoringInterval = parseInt(e.target.value);
       this.elements.intervalValue.textContent = this.settings.monitoringInterval;
+      this.switchToCustomMode();
     });
 
     this.elements.sensitivityMode.addEventListener("change", (e) => {
@@ -89,6 +310,69 @@ class OptionsController {
       this.applySensitivityMode();
     });
 
+    this.elements.noiseFloorMargin.addEventListener("input", (e) => {
+      this.settings.noiseFloorMargin = parseInt(e.target.value);
+      this.elements.marginValue.textContent = this.settings.noiseFloorMargin;
+    });
+
+    this.elements.hysteresisDb.addEventListener("input", (e) => {
+      this.settings.hysteresisDb = parseInt(e.target.value);
+      this.elements.hysteresisValue.textContent = this.settings.hysteresisDb;
+    });
+
+    this.elements.minSpeechDuration.addEventListener("input", (e) => {
+      this.settings.minSpeechDuration = parseInt(e.target.value);
+      this.elements.minSpeechValue.textContent = this.settings.minSpeechDuration;
+    });
+
+    this.elements.hangTime.addEventListener("input", (e) => {
+      this.settings.hangTime = parseInt(e.target.value);
+      this.elements.hangTimeValue.textContent = this.settings.hangTime;
+    });
+
+    // 話した時間の分析
+    this.elements.analyticsPeriod.addEventListener("change", () => {
+      this.renderAnalytics();
+    });
+
+    // 会議の履歴
+    this.elements.historyRetentionDays.addEventListener("input", (e) => {
+      this.settings.historyRetentionDays = parseInt(e.target.value);
+      this.elements.retentionValue.textContent = this.settings.historyRetentionDays;
+    });
+
+    // chrome:// のページは通常のリンクでは開けないためタブを作成する
+    this.elements.shortcutSettings.addEventListener("click", (e) => {
+      e.preventDefault();
+      chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+    });
+
+    this.elements.exportHistory.addEventListener("click", () => {
+      this.exportHistory();
+    });
+
+    this.elements.importHistory.addEventListener("click", () => {
+      this.elements.importFile.click();
+    });
+
+    this.elements.importFile.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      // 同じファイルを続けて選択しても change が発生するようにする
+      e.target.value = "";
+      if (file) {
+        this.importHistory(file);
+      }
+    });
+
+    // キャリブレーション
+    this.elements.startCalibration.addEventListener("click", () => {
+      this.startCalibration();
+    });
+
+    this.elements.applyCalibration.addEventListener("click", () => {
+      this.applyCalibration();
+    });
+
     // 統計関連
     this.elements.resetStats.addEventListener("click", () => {
       this.resetStats();
@@ -112,45 +396,30 @@ class OptionsController {
    * 設定を読み込み
    */
   async loadSettings() {
-    return new Promise((resolve) => {
-      chrome.storage.sync.get(
-        {
-          enabled: true,
-          volumeThreshold: 0.01,
-          silenceDuration: 3,
-          showNotifications: false,
-          notificationSound: false,
-          monitoringInterval: 100,
-          sensitivityMode: "normal",
-        },
-        (result) => {
-          this.settings = result;
-          resolve();
-        }
-      );
-    });
+    this.settings = { ...(await this.settingsManager.load()) };
   }
 
   /**
    * 統計を読み込み
    */
   async loadStats() {
-    return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ type: "GET_STATS" }, (response) => {
-        if (response) {
-          this.elements.muteCount.textContent = response.autoMuteCount || 0;
-          this.elements.unmuteCount.textContent = response.autoUnmuteCount || 0;
-
-          if (response.lastActivity) {
-            const date = new Date(response.lastActivity);
-            this.elements.lastActivity.textContent = date.toLocaleString("ja-JP");
-          } else {
-            this.elements.lastActivity.textContent = "-";
-          }
-        }
-        resolve();
-      });
-    });
+    try {
+      const stats = await MessageProtocol.send("GET_STATS");
+      this.elements.muteCount.textContent = stats.autoMuteCount || 0;
+      this.elements.unmuteCount.textContent = stats.autoUnmuteCount || 0;
+      this.elements.manualMuteCount.textContent = stats.manualMuteCount || 0;
+      this.elements.blockedUnmuteCount.textContent = stats.blockedUnmuteCount || 0;
+      this.elements.failedActionCount.textContent = stats.failedActionCount || 0;
+
+      if (stats.lastActivity) {
+        const date = new Date(stats.lastActivity);
+        this.elements.lastActivity.textContent = date.toLocaleString("ja-JP");
+      } else {
+        this.elements.lastActivity.textContent = "-";
+      }
+    } catch (error) {
+      this.showMessageError("統計の読み込みに失敗しました", error);
+    }
   }
 
   /**
@@ -159,55 +428,75 @@ class OptionsController {
   updateUI() {
     // 基本設定
     this.elements.enabled.checked = this.settings.enabled;
-    this.elements.volumeThreshold.value = this.settings.volumeThreshold;
-    this.elements.thresholdValue.textContent = this.settings.volumeThreshold.toFixed(2);
+    this.elements.operatingMode.value = this.settings.operatingMode;
+    this.elements.confirmUnmute.checked = this.settings.confirmUnmute;
+    this.elements.autoUnmuteManualMute.checked = this.settings.autoUnmuteManualMute;
+    this.elements.volumeThreshold.value = this.settings.volumeThresholdDb;
+    this.elements.thresholdValue.textContent = this.settings.volumeThresholdDb;
     this.elements.silenceDuration.value = this.settings.silenceDuration;
     this.elements.durationValue.textContent = this.settings.silenceDuration;
 
     // 通知設定
     this.elements.showNotifications.checked = this.settings.showNotifications;
     this.elements.notificationSound.checked = this.settings.notificationSound;
+    this.elements.countdownLeadTime.value = this.settings.countdownLeadTime;
+    this.elements.leadTimeValue.textContent = this.settings.countdownLeadTime;
+    this.elements.countdownStyleGroup.style.display = this.settings.countdownLeadTime > 0 ? "block" : "none";
+    this.elements.countdownPosition.value = this.settings.countdownPosition;
+    this.elements.countdownSize.value = this.settings.countdownSize;
+    this.elements.notificationVolume.value = this.settings.notificationVolume;
+    this.elements.volumeValue.textContent = this.settings.notificationVolume;
+    this.elements.notificationVolumeGroup.style.display = this.settings.notificationSound ? "block" : "none";
 
     // 高度な設定
     this.elements.monitoringInterval.value = this.settings.monitoringInterval;
     this.elements.intervalValue.textContent = this.settings.monitoringInterval;
     this.elements.sensitivityMode.value = this.settings.sensitivityMode;
+    this.elements.noiseFloorMargin.value = this.settings.noiseFloorMargin;
+    this.elements.marginValue.textContent = this.settings.noiseFloorMargin;
+    this.elements.noiseFloorMarginGroup.style.display = this.settings.sensitivityMode === "auto" ? "block" : "none";
+    this.elements.hysteresisDb.value = this.settings.hysteresisDb;
+    this.elements.hysteresisValue.textContent = this.settings.hysteresisDb;
+    this.elements.minSpeechDuration.value = this.settings.minSpeechDuration;
+    this.elements.minSpeechValue.textContent = this.settings.minSpeechDuration;
+    this.elements.hangTime.value = this.settings.hangTime;
+    this.elements.hangTimeValue.textContent = this.settings.hangTime;
+
+    // 会議の履歴
+    this.elements.historyRetentionDays.value = this.settings.historyRetentionDays;
+    this.elements.retentionValue.textContent = this.settings.historyRetentionDays;
   }
 
   /**
    * 感度モードを適用
    */
   applySensitivityMode() {
-    switch (this.settings.sensitivityMode) {
-      case "high":
-        this.settings.volumeThreshold = 0.05;
-        this.settings.monitoringInterval = 50;
-        break;
-      case "low":
-        this.settings.volumeThreshold = 0.2;
-        this.settings.monitoringInterval = 200;
-        break;
-      case "normal":
-        this.settings.volumeThreshold = 0.1;
-        this.settings.monitoringInterval = 100;
-        break;
-      case "custom":
-        // カスタムモードでは現在の設定を維持
-        break;
-    }
+    // プリセットの値で上書き（カスタムモードでは現在の設定を維持）
+    Object.assign(this.settings, SettingsManager.getPreset(this.settings.sensitivityMode));
 
     // UIを更新
-    this.elements.volumeThreshold.value = this.settings.volumeThreshold;
-    this.elements.thresholdValue.textContent = this.settings.volumeThreshold.toFixed(2);
+    this.elements.volumeThreshold.value = this.settings.volumeThresholdDb;
+    this.elements.thresholdValue.textContent = this.settings.volumeThresholdDb;
     this.elements.monitoringInterval.value = this.settings.monitoringInterval;
     this.elements.intervalValue.textContent = this.settings.monitoringInterval;
+    this.elements.noiseFloorMarginGroup.style.display = this.settings.sensitivityMode === "auto" ? "block" : "none";
+  }
+
+  /**
+   * プリセットの値を手動で変更した場合はカスタムモードに切り替える
+   */
+  switchToCustomMode() {
+    if (this.settings.sensitivityMode === "auto" || this.settings.sensitivityMode === "custom") return;
+
+    this.settings.sensitivityMode = "custom";
+    this.elements.sensitivityMode.value = "custom";
   }
 
   /**
    * 設定を保存
    */
   saveSettings() {
-    chrome.storage.sync.set(this.settings, () => {
+    this.settingsManager.save(this.settings).then(() => {
       console.log("Auto 3s Mute: 設定を保存しました", this.settings);
 
       // 保存完了の通知
@@ -215,19 +504,206 @@ class OptionsController {
     });
   }
 
+  /**
+   * キャリブレーションを実行（無音 → 読み上げの順に録音）
+   */
+  async startCalibration() {
+    const calibrator = new MicrophoneCalibrator();
+    const recordSeconds = 5;
+
+    this.calibrationResult = null;
+    this.elements.startCalibration.disabled = true;
+    this.elements.applyCalibration.hidden = true;
+    this.elements.calibrationResult.hidden = true;
+    this.elements.calibrationChart.hidden = true;
+
+    try {
+      await calibrator.open();
+      this.elements.calibrationProgressTrack.hidden = false;
+      const onProgress = (ratio) => {
+        this.elements.calibrationProgress.style.width = `${Math.round(ratio * 100)}%`;
+      };
+
+      // ステップ1: 周囲の無音を録音
+      this.elements.calibrationStep.textContent = `ステップ1/2: 話さずに静かにしてください（${recordSeconds}秒）`;
+      const silenceFrames = await calibrator.record(recordSeconds, onProgress);
+
+      // ステップ2: 読み上げた声を録音
+      this.elements.calibrationStep.textContent = `ステップ2/2: 次の文章を普段の声の大きさで読み上げてください（${recordSeconds}秒）`;
+      this.elements.calibrationPrompt.hidden = false;
+      const speechFrames = await calibrator.record(recordSeconds, onProgress);
+
+      this.calibrationResult = this.computeCalibrationResult(silenceFrames, speechFrames);
+      this.showCalibrationResult(this.calibrationResult);
+      this.elements.calibrationStep.textContent = "キャリブレーションが完了しました。結果を確認して保存してください";
+    } catch (error) {
+      console.error("Auto 3s Mute: キャリブレーションに失敗しました:", error);
+      this.elements.calibrationStep.textContent = "マイクにアクセスできませんでした。マイクの許可を確認してください";
+      this.showNotification("キャリブレーションに失敗しました", "error");
+    } finally {
+      calibrator.close();
+      this.elements.calibrationPrompt.hidden = true;
+      this.elements.calibrationProgressTrack.hidden = true;
+      this.elements.calibrationProgress.style.width = "0";
+      this.elements.startCalibration.disabled = false;
+    }
+  }
+
+  /**
+   * 無音時と発話時のレベル分布から推奨設定を計算
+   */
+  computeCalibrationResult(silenceFrames, speechFrames) {
+    const silenceLevels = silenceFrames.map((frame) => frame.levelDb);
+    const speechLevels = speechFrames.map((frame) => frame.levelDb);
+    const percentile = (levels, p) => {
+      const sorted = [...levels].sort((a, b) => a - b);
+      return sorted[Math.floor((sorted.length - 1) * p)];
+    };
+
+    // 無音時の上位5%と発話時の中央値の中間を閾値とする
+    const silenceHigh = percentile(silenceLevels, 0.95);
+    const speechMedian = percentile(speechLevels, 0.5);
+    const midpoint = (silenceHigh + speechMedian) / 2;
+    const thresholdDb = Math.round(Math.min(-10, Math.max(-80, Math.max(midpoint, silenceHigh + 3))));
+
+    // 読み上げ中の息継ぎ（閾値を下回る最長区間）でミュートされないよう無音時間を決める
+    let longestPause = 0;
+    let currentPause = 0;
+    for (const frame of speechFrames) {
+      currentPause = frame.levelDb < thresholdDb ? currentPause + frame.duration : 0;
+      longestPause = Math.max(longestPause, currentPause);
+    }
+    const silenceDuration = Math.min(10, Math.max(2, Math.ceil(longestPause + 1.5)));
+
+    return {
+      silenceLevels: silenceLevels,
+      speechLevels: speechLevels,
+      thresholdDb: thresholdDb,
+      silenceDuration: silenceDuration,
+      // 無音時と発話時のレベル差が6dB未満の場合は精度が低いとみなす
+      isReliable: speechMedian - silenceHigh >= 6,
+    };
+  }
+
+  /**
+   * キャリブレーション結果を表示
+   */
+  showCalibrationResult(result) {
+    this.elements.recommendedThreshold.textContent = result.thresholdDb;
+    this.elements.recommendedDuration.textContent = result.silenceDuration;
+    this.elements.calibrationWarning.hidden = result.isReliable;
+    this.elements.calibrationResult.hidden = false;
+    this.elements.calibrationChart.hidden = false;
+    this.elements.applyCalibration.hidden = false;
+    this.drawCalibrationChart(result);
+  }
+
+  /**
+   * 無音時と発話時のレベル分布をヒストグラムで描画
+   */
+  drawCalibrationChart(result) {
+    const canvas = this.elements.calibrationChart;
+    const context = canvas.getContext("2d");
+    const minDb = -90;
+    const maxDb = -10;
+    const binSize = 2; // ヒストグラムの階級幅（dB）
+    const binCount = (maxDb - minDb) / binSize;
+    const padding = { top: 16, right: 16, bottom: 28, left: 16 };
+    const plotWidth = canvas.width - padding.left - padding.right;
+    const plotHeight = canvas.height - padding.top - padding.bottom;
+    const toX = (levelDb) => padding.left + ((levelDb - minDb) / (maxDb - minDb)) * plotWidth;
+
+    const histogram = (levels) => {
+      const bins = new Array(binCount).fill(0);
+      for (const levelDb of levels) {
+        const index = Math.floor((Math.min(maxDb - 0.001, Math.max(minDb, levelDb)) - minDb) / binSize);
+        bins[index]++;
+      }
+      return bins.map((count) => count / levels.length);
+    };
+    const silenceBins = histogram(result.silenceLevels);
+    const speechBins = histogram(result.speechLevels);
+    const maxRatio = Math.max(...silenceBins, ...speechBins, 0.01);
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    // 分布を半透明の棒で重ねて描画
+    const drawBins = (bins, color) => {
+      context.fillStyle = color;
+      bins.forEach((ratio, index) => {
+        const height = (ratio / maxRatio) * plotHeight;
+        const x = toX(minDb + index * binSize);
+        context.fillRect(x, padding.top + plotHeight - height, plotWidth / binCount - 1, height);
+      });
+    };
+    drawBins(silenceBins, "rgba(33, 150, 243, 0.6)");
+    drawBins(speechBins, "rgba(76, 175, 80, 0.6)");
+
+    // 推奨閾値の線
+    const thresholdX = toX(result.thresholdDb);
+    context.strokeStyle = "#f44336";
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(thresholdX, padding.top);
+    context.lineTo(thresholdX, padding.top + plotHeight);
+    context.stroke();
+
+    // 軸ラベルと凡例
+    context.fillStyle = "#666";
+    context.font = "11px sans-serif";
+    context.textAlign = "center";
+    for (let levelDb = minDb; levelDb <= maxDb; levelDb += 10) {
+      context.fillText(`${levelDb}`, toX(levelDb), canvas.height - 10);
+    }
+    context.textAlign = "left";
+    context.fillStyle = "rgba(33, 150, 243, 1)";
+    context.fillText("■ 無音", padding.left, padding.top);
+    context.fillStyle = "rgba(76, 175, 80, 1)";
+    context.fillText("■ 発話", padding.left + 56, padding.top);
+    context.fillStyle = "#f44336";
+    context.fillText(`| 推奨閾値 ${result.thresholdDb} dBFS`, padding.left + 112, padding.top);
+  }
+
+  /**
+   * キャリブレーション結果を設定として保存
+   */
+  applyCalibration() {
+    if (!this.calibrationResult) return;
+
+    this.settings.volumeThresholdDb = this.calibrationResult.thresholdDb;
+    this.settings.silenceDuration = this.calibrationResult.silenceDuration;
+    // プリセットで上書きされないよう、自動モード以外はカスタムに切り替える
+    this.switchToCustomMode();
+
+    this.settingsManager
+      .save({
+        volumeThresholdDb: this.settings.volumeThresholdDb,
+        silenceDuration: this.settings.silenceDuration,
+        sensitivityMode: this.settings.sensitivityMode,
+      })
+      .then(() => {
+        console.log("Auto 3s Mute: キャリブレーション結果を保存しました", this.calibrationResult);
+        this.updateUI();
+        this.showNotification("キャリブレーション結果を保存しました", "success");
+      });
+  }
+
   /**
    * 統計をリセット
    */
   resetStats() {
     if (confirm("統計情報をリセットしますか？この操作は元に戻せません。")) {
-      chrome.runtime.sendMessage({ type: "RESET_STATS" }, (response) => {
-        if (response && response.success) {
+      MessageProtocol.send("RESET_STATS")
+        .then(() => {
           this.elements.muteCount.textContent = "0";
           this.elements.unmuteCount.textContent = "0";
+          this.elements.manualMuteCount.textContent = "0";
+          this.elements.blockedUnmuteCount.textContent = "0";
+          this.elements.failedActionCount.textContent = "0";
           this.elements.lastActivity.textContent = "-";
           this.showNotification("統計をリセットしました", "success");
-        }
-      });
+        })
+        .catch((error) => this.showMessageError("統計のリセットに失敗しました", error));
     }
   }
 
@@ -235,48 +711,699 @@ class OptionsController {
    * 統計をエクスポート
    */
   exportStats() {
-    chrome.runtime.sendMessage({ type: "GET_STATS" }, (response) => {
-      if (response) {
+    MessageProtocol.send("GET_STATS")
+      .then((response) => {
         const statsData = {
           autoMuteCount: response.autoMuteCount || 0,
           autoUnmuteCount: response.autoUnmuteCount || 0,
+          manualMuteCount: response.manualMuteCount || 0,
+          blockedUnmuteCount: response.blockedUnmuteCount || 0,
+          failedActionCount: response.failedActionCount || 0,
           lastActivity: response.lastActivity || null,
           exportDate: new Date().toISOString(),
         };
 
-        const dataStr = JSON.stringify(statsData, null, 2);
-        const dataBlob = new Blob([dataStr], { type: "application/json" });
-
-        const link = document.createElement("a");
-        link.href = URL.createObjectURL(dataBlob);
-        link.download = `auto-3s-mute-stats-${new Date().toISOString().split("T")[0]}.json`;
-        link.click();
+        this.downloadFile(JSON.stringify(statsData, null, 2), "application/json", `auto-3s-mute-stats-${new Date().toISOString().split("T")[0]}.json`);
 
         this.showNotification("統計をエクスポートしました", "success");
+      })
+      .catch((error) => this.showMessageError("統計のエクスポートに失敗しました", error));
+  }
+
+  /**
+   * キーボードショートカットの一覧を表示
+   */
+  async loadCommands() {
+    return new Promise((resolve) => {
+      chrome.commands.getAll((commands) => {
+        const items = commands
+          .filter((command) => command.description)
+          .map((command) => {
+            const item = document.createElement("li");
+            item.className = "command-item";
+            const description = document.createElement("span");
+            description.textContent = command.description;
+            const shortcut = document.createElement("kbd");
+            shortcut.className = command.shortcut ? "command-shortcut" : "command-shortcut unassigned";
+            shortcut.textContent = command.shortcut || "未設定";
+            item.append(description, shortcut);
+            return item;
+          });
+        this.elements.commandList.replaceChildren(...items);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 会議の履歴を読み込み、履歴と話した時間の分析を表示
+   */
+  async loadSessions() {
+    try {
+      this.sessions = await MessageProtocol.send("GET_SESSIONS");
+    } catch (error) {
+      this.showMessageError("会議の履歴の読み込みに失敗しました", error);
+      this.sessions = [];
+    }
+    this.renderSessions(this.sessions);
+    this.renderAnalytics();
+  }
+
+  /**
+   * 会議の履歴を表示
+   */
+  renderSessions(sessions) {
+    this.elements.sessionList.replaceChildren(...sessions.map((session) => this.createSessionCard(session)));
+    this.elements.sessionEmpty.hidden = sessions.length > 0;
+  }
+
+  /**
+   * 1件の会議の概要とタイムラインを作成
+   */
+  createSessionCard(session) {
+    const card = document.createElement("div");
+    card.className = "session-card";
+
+    const endTime = session.leftAt || Date.now();
+    const countOf = (type) => session.events.filter((event) => event.type === type).length;
+    const summary = [
+      session.leftAt ? `${Math.round((endTime - session.joinedAt) / 60000)}分` : "記録中",
+      `自動ミュート ${countOf("AUTO_MUTED")}回`,
+      `自動解除 ${countOf("AUTO_UNMUTED")}回`,
+      `手動操作 ${countOf("MANUAL_MUTED") + countOf("MANUAL_UNMUTED")}回`,
+    ];
+    if (session.analytics) {
+      summary.push(`話した時間 ${this.formatDuration(session.analytics.speakingTime)}`, `発話率 ${Math.round(session.analytics.talkRatio * 100)}%`);
+    }
+
+    const header = document.createElement("div");
+    header.className = "session-header";
+
+    const toggle = document.createElement("button");
+    toggle.className = "session-toggle";
+    toggle.textContent = `${new Date(session.joinedAt).toLocaleString("ja-JP")}  ${session.meetingCode}`;
+
+    const summaryText = document.createElement("span");
+    summaryText.className = "session-summary";
+    summaryText.textContent = summary.join(" ・ ");
+
+    const deleteButton = document.createElement("button");
+    deleteButton.className = "session-delete";
+    deleteButton.textContent = "削除";
+    deleteButton.addEventListener("click", () => this.deleteSession(session));
+
+    header.append(toggle, summaryText, deleteButton);
+
+    const timeline = this.createSessionTimeline(session, endTime);
+    timeline.hidden = true;
+    toggle.addEventListener("click", () => {
+      timeline.hidden = !timeline.hidden;
+    });
+
+    card.append(header, timeline);
+    return card;
+  }
+
+  /**
+   * 会議のタイムライン（ミュート中の区間の帯とイベントの一覧）を作成
+   */
+  createSessionTimeline(session, endTime) {
+    const timeline = document.createElement("div");
+    timeline.className = "session-timeline";
+    const duration = Math.max(1, endTime - session.joinedAt);
+
+    // ミュート中の区間を帯で表示（自動ミュートと手動ミュートで色を分ける）
+    const bar = document.createElement("div");
+    bar.className = "timeline-bar";
+    for (const interval of this.computeMutedIntervals(session, endTime)) {
+      const segment = document.createElement("div");
+      segment.className = `timeline-segment timeline-segment-${interval.source}`;
+      segment.style.left = `${((interval.start - session.joinedAt) / duration) * 100}%`;
+      segment.style.width = `${((interval.end - interval.start) / duration) * 100}%`;
+      segment.title = `${interval.source === "auto" ? "自動ミュート" : "手動ミュート"} ${this.formatOffset(interval.start - session.joinedAt)} - ${this.formatOffset(interval.end - session.joinedAt)}`;
+      bar.appendChild(segment);
+    }
+
+    const legend = document.createElement("div");
+    legend.className = "timeline-legend";
+    legend.innerHTML = '<span class="legend-auto">■</span> 自動ミュート　<span class="legend-manual">■</span> 手動ミュート　<span class="legend-live">■</span> ミュートなし';
+
+    const list = document.createElement("ol");
+    list.className = "timeline-events";
+    for (const event of session.events) {
+      const item = document.createElement("li");
+      const reason = SESSION_REASON_LABELS[event.reason] || event.error || event.reason;
+      item.textContent = `+${this.formatOffset(event.time - session.joinedAt)}  ${SESSION_EVENT_LABELS[event.type] || event.type}${reason ? `（${reason}）` : ""}`;
+      list.appendChild(item);
+    }
+    if (session.events.length === 0) {
+      const item = document.createElement("li");
+      item.textContent = "この会議ではミュートの操作はありませんでした";
+      list.appendChild(item);
+    }
+
+    timeline.append(bar, legend, list);
+    return timeline;
+  }
+
+  /**
+   * イベントからミュート中の区間を求める
+   * @returns {Array<{start: number, end: number, source: string}>}
+   */
+  computeMutedIntervals(session, endTime) {
+    const intervals = [];
+    let current = null;
+    for (const event of session.events) {
+      const mutedBy = event.type === "AUTO_MUTED" ? "auto" : event.type === "MANUAL_MUTED" ? "manual" : null;
+      const unmuted = event.type === "AUTO_UNMUTED" || event.type === "MANUAL_UNMUTED";
+      if (mutedBy && !current) {
+        current = { start: event.time, source: mutedBy };
+      } else if (unmuted && current) {
+        intervals.push({ ...current, end: event.time });
+        current = null;
       }
+    }
+    if (current) {
+      intervals.push({ ...current, end: endTime });
+    }
+    return intervals;
+  }
+
+  /**
+   * 会議の開始からの経過時間を「分:秒」で表示
+   */
+  formatOffset(milliseconds) {
+    const totalSeconds = Math.max(0, Math.round(milliseconds / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, "0")}`;
+  }
+
+  /**
+   * 話した時間の分析を表示（保存されている会議の履歴から集計する）
+   */
+  renderAnalytics() {
+    const sessions = this.sessions.filter((session) => session.analytics);
+    const total = sessions.reduce(
+      (sum, session) => ({
+        monitoredTime: sum.monitoredTime + session.analytics.monitoredTime,
+        speakingTime: sum.speakingTime + session.analytics.speakingTime,
+        mutedTime: sum.mutedTime + session.analytics.mutedTime,
+        longestTurn: Math.max(sum.longestTurn, session.analytics.longestTurn),
+      }),
+      { monitoredTime: 0, speakingTime: 0, mutedTime: 0, longestTurn: 0 }
+    );
+
+    this.elements.totalSpeakingTime.textContent = this.formatDuration(total.speakingTime);
+    this.elements.totalMutedTime.textContent = this.formatDuration(total.mutedTime);
+    this.elements.longestTurn.textContent = this.formatDuration(total.longestTurn);
+    this.elements.averageTalkRatio.textContent = total.monitoredTime > 0 ? `${Math.round((total.speakingTime / total.monitoredTime) * 100)}%` : "-";
+
+    this.drawRollupChart(this.computeRollup(sessions, this.elements.analyticsPeriod.value));
+    this.drawMeetingChart(sessions.slice(0, 10).reverse());
+  }
+
+  /**
+   * 会議ごとの集計を日別（直近14日）または週別（直近12週、月曜始まり）にまとめる
+   */
+  computeRollup(sessions, period) {
+    const dayLength = 24 * 60 * 60 * 1000;
+    const startOfBucket = (time) => {
+      const date = new Date(time);
+      date.setHours(0, 0, 0, 0);
+      if (period === "weekly") {
+        date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+      }
+      return date.getTime();
+    };
+
+    const bucketCount = period === "weekly" ? 12 : 14;
+    const step = period === "weekly" ? 7 * dayLength : dayLength;
+    const buckets = [];
+    let start = startOfBucket(Date.now());
+    for (let i = 0; i < bucketCount; i++) {
+      buckets.unshift({ start: start, monitoredTime: 0, speakingTime: 0, mutedTime: 0 });
+      // 夏時間の切り替えをまたいでも日付の境界に揃える
+      start = startOfBucket(start - step + dayLength / 2);
+    }
+
+    for (const session of sessions) {
+      const bucketStart = startOfBucket(session.joinedAt);
+      const bucket = buckets.find((item) => item.start === bucketStart);
+      if (!bucket) continue;
+      bucket.monitoredTime += session.analytics.monitoredTime;
+      bucket.speakingTime += session.analytics.speakingTime;
+      bucket.mutedTime += session.analytics.mutedTime;
+    }
+
+    return buckets.map((bucket) => {
+      const date = new Date(bucket.start);
+      return {
+        ...bucket,
+        label: `${date.getMonth() + 1}/${date.getDate()}${period === "weekly" ? "週" : ""}`,
+        talkRatio: bucket.monitoredTime > 0 ? bucket.speakingTime / bucket.monitoredTime : null,
+      };
+    });
+  }
+
+  /**
+   * 日別/週別の話した時間とミュート中の時間を棒グラフで描画
+   */
+  drawRollupChart(buckets) {
+    const canvas = this.elements.rollupChart;
+    const context = canvas.getContext("2d");
+    const padding = { top: 28, right: 16, bottom: 28, left: 40 };
+    const plotWidth = canvas.width - padding.left - padding.right;
+    const plotHeight = canvas.height - padding.top - padding.bottom;
+    const maxMinutes = Math.max(1, ...buckets.map((bucket) => Math.max(bucket.speakingTime, bucket.mutedTime) / 60));
+    const slotWidth = plotWidth / buckets.length;
+    const barWidth = Math.max(2, slotWidth / 2 - 4);
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.font = "11px sans-serif";
+
+    buckets.forEach((bucket, index) => {
+      const x = padding.left + index * slotWidth + 2;
+      const speakingHeight = (bucket.speakingTime / 60 / maxMinutes) * plotHeight;
+      const mutedHeight = (bucket.mutedTime / 60 / maxMinutes) * plotHeight;
+      context.fillStyle = "rgba(76, 175, 80, 0.8)";
+      context.fillRect(x, padding.top + plotHeight - speakingHeight, barWidth, speakingHeight);
+      context.fillStyle = "rgba(255, 152, 0, 0.8)";
+      context.fillRect(x + barWidth + 2, padding.top + plotHeight - mutedHeight, barWidth, mutedHeight);
+
+      // 発話率を棒の上に表示
+      context.fillStyle = "#666";
+      context.textAlign = "center";
+      if (bucket.talkRatio !== null) {
+        context.fillText(`${Math.round(bucket.talkRatio * 100)}%`, x + barWidth, padding.top + plotHeight - Math.max(speakingHeight, mutedHeight) - 4);
+      }
+      context.fillText(bucket.label, x + barWidth, canvas.height - 10);
+    });
+
+    // 縦軸（分）と凡例
+    context.textAlign = "right";
+    context.fillStyle = "#666";
+    context.fillText(`${Math.round(maxMinutes)}分`, padding.left - 6, padding.top + 4);
+    context.fillText("0", padding.left - 6, padding.top + plotHeight);
+    context.textAlign = "left";
+    context.fillStyle = "rgba(76, 175, 80, 1)";
+    context.fillText("■ 話した時間", padding.left, 14);
+    context.fillStyle = "rgba(255, 152, 0, 1)";
+    context.fillText("■ ミュート中", padding.left + 88, 14);
+    context.fillStyle = "#666";
+    context.fillText("数値: 発話率", padding.left + 176, 14);
+  }
+
+  /**
+   * 直近の会議ごとの発話率を棒グラフで描画
+   */
+  drawMeetingChart(sessions) {
+    const canvas = this.elements.meetingChart;
+    const context = canvas.getContext("2d");
+    const padding = { top: 28, right: 16, bottom: 28, left: 40 };
+    const plotWidth = canvas.width - padding.left - padding.right;
+    const plotHeight = canvas.height - padding.top - padding.bottom;
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.font = "11px sans-serif";
+    context.fillStyle = "#666";
+    context.textAlign = "left";
+    context.fillText("直近の会議の発話率（最長の連続発話）", padding.left, 14);
+
+    if (sessions.length === 0) {
+      context.fillText("まだ集計された会議はありません", padding.left, padding.top + plotHeight / 2);
+      return;
+    }
+
+    const slotWidth = plotWidth / sessions.length;
+    const maxRatio = Math.max(0.1, ...sessions.map((session) => session.analytics.talkRatio));
+    sessions.forEach((session, index) => {
+      const x = padding.left + index * slotWidth + 4;
+      const barWidth = slotWidth - 8;
+      const height = (session.analytics.talkRatio / maxRatio) * plotHeight;
+      context.fillStyle = "rgba(102, 126, 234, 0.8)";
+      context.fillRect(x, padding.top + plotHeight - height, barWidth, height);
+
+      const date = new Date(session.joinedAt);
+      context.fillStyle = "#666";
+      context.textAlign = "center";
+      context.fillText(`${Math.round(session.analytics.talkRatio * 100)}% (${Math.round(session.analytics.longestTurn)}秒)`, x + barWidth / 2, padding.top + plotHeight - height - 4);
+      context.fillText(`${date.getMonth() + 1}/${date.getDate()} ${date.getHours()}:${String(date.getMinutes()).padStart(2, "0")}`, x + barWidth / 2, canvas.height - 10);
     });
   }
 
+  /**
+   * 秒数を「1時間2分」「3分20秒」「45秒」の形式で表示
+   */
+  formatDuration(seconds) {
+    const totalSeconds = Math.round(seconds);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    if (hours > 0) return `${hours}時間${minutes}分`;
+    if (minutes > 0) return `${minutes}分${totalSeconds % 60}秒`;
+    return `${totalSeconds}秒`;
+  }
+
+  /**
+   * 指定した期間の会議の履歴をCSVまたはJSONでエクスポート
+   */
+  exportHistory() {
+    const from = this.elements.exportFrom.value ? new Date(`${this.elements.exportFrom.value}T00:00:00`).getTime() : -Infinity;
+    const to = this.elements.exportTo.value ? new Date(`${this.elements.exportTo.value}T23:59:59.999`).getTime() : Infinity;
+    if (from > to) {
+      this.showNotification("期間の開始日が終了日より後になっています", "error");
+      return;
+    }
+
+    MessageProtocol.send("GET_SESSIONS")
+      .then((response) => {
+        const sessions = response
+          .filter((session) => session.joinedAt >= from && session.joinedAt <= to)
+          .sort((a, b) => a.joinedAt - b.joinedAt)
+          .map(({ tabId, ...session }) => session);
+        if (sessions.length === 0) {
+          this.showNotification("指定した期間の会議の履歴はありません", "error");
+          return;
+        }
+
+        const date = new Date().toISOString().split("T")[0];
+        if (this.elements.exportFormat.value === "csv") {
+          // 表計算ソフトで文字化けしないようBOMを付ける
+          this.downloadFile(`\uFEFF${this.buildHistoryCsv(sessions)}`, "text/csv", `auto-3s-mute-history-${date}.csv`);
+        } else {
+          const data = {
+            format: HISTORY_FILE_FORMAT,
+            version: HISTORY_FILE_VERSION,
+            exportDate: new Date().toISOString(),
+            range: { from: this.elements.exportFrom.value || null, to: this.elements.exportTo.value || null },
+            sessions: sessions,
+          };
+          this.downloadFile(JSON.stringify(data, null, 2), "application/json", `auto-3s-mute-history-${date}.json`);
+        }
+        this.showNotification(`会議の履歴を${sessions.length}件エクスポートしました`, "success");
+      })
+      .catch((error) => this.showMessageError("会議の履歴のエクスポートに失敗しました", error));
+  }
+
+  /**
+   * 会議の履歴をCSVに変換（会議ごとに1行の"session"行と、イベントごとの"event"行を出力する）
+   */
+  buildHistoryCsv(sessions) {
+    const toIso = (time) => (time === null || time === undefined ? "" : new Date(time).toISOString());
+    const rows = [HISTORY_CSV_COLUMNS];
+    for (const session of sessions) {
+      const analytics = session.analytics || {};
+      const base = { session_id: session.id, meeting_code: session.meetingCode, joined_at: toIso(session.joinedAt), left_at: toIso(session.leftAt) };
+      rows.push(
+        HISTORY_CSV_COLUMNS.map(
+          (column) =>
+            ({
+              ...base,
+              record: "session",
+              monitored_time: analytics.monitoredTime,
+              speaking_time: analytics.speakingTime,
+              muted_time: analytics.mutedTime,
+              longest_turn: analytics.longestTurn,
+              turn_count: analytics.turnCount,
+              talk_ratio: analytics.talkRatio,
+            })[column]
+        )
+      );
+      for (const event of session.events) {
+        rows.push(
+          HISTORY_CSV_COLUMNS.map(
+            (column) =>
+              ({
+                ...base,
+                record: "event",
+                time: toIso(event.time),
+                offset_seconds: Math.round((event.time - session.joinedAt) / 1000),
+                type: event.type,
+                reason: event.reason,
+                method: event.method,
+                error: event.error,
+              })[column]
+          )
+        );
+      }
+    }
+    return rows.map((row) => row.map((value) => this.escapeCsv(value)).join(",")).join("\r\n");
+  }
+
+  /**
+   * CSVの1項目をエスケープ
+   */
+  escapeCsv(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * CSVを行と項目の配列に分解（引用符で囲まれた改行やカンマに対応）
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    if (field !== "" || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter((item) => item.some((value) => value !== ""));
+  }
+
+  /**
+   * エクスポートしたファイルを読み込み、会議の履歴に統合
+   */
+  async importHistory(file) {
+    let parsed;
+    try {
+      const text = (await file.text()).replace(/^\uFEFF/, "");
+      parsed = text.trimStart().startsWith("{") ? this.parseHistoryJson(text) : this.parseHistoryCsv(text);
+    } catch (error) {
+      this.renderImportErrors([`ファイルを読み込めませんでした: ${error.message}`]);
+      this.showNotification("インポートに失敗しました", "error");
+      return;
+    }
+
+    // 形式が正しい会議だけを読み込み、誤りのある会議は理由を表示する
+    const errors = [];
+    const seen = new Set();
+    const sessions = [];
+    parsed.forEach((session, index) => {
+      const error = this.validateImportedSession(session);
+      if (error) {
+        errors.push(`${index + 1}件目（${session && session.id ? session.id : "IDなし"}）: ${error}`);
+      } else if (seen.has(session.id)) {
+        errors.push(`${index + 1}件目（${session.id}）: ファイル内で重複しています`);
+      } else {
+        seen.add(session.id);
+        sessions.push(session);
+      }
+    });
+    this.renderImportErrors(errors);
+
+    if (sessions.length === 0) {
+      this.showNotification("読み込める会議の履歴がありませんでした", "error");
+      return;
+    }
+
+    MessageProtocol.send("IMPORT_SESSIONS", { sessions: sessions })
+      .then((response) => {
+        if (!response.success) {
+          this.showNotification("インポートに失敗しました", "error");
+          return;
+        }
+        const skipped = [];
+        if (response.duplicates > 0) skipped.push(`${response.duplicates}件は登録済み`);
+        if (response.expired > 0) skipped.push(`${response.expired}件は保存期間外`);
+        if (response.invalid > 0) skipped.push(`${response.invalid}件はデータが不正`);
+        this.showNotification(`会議の履歴を${response.added}件追加しました${skipped.length > 0 ? `（${skipped.join("、")}のためスキップ）` : ""}`, errors.length > 0 ? "info" : "success");
+        this.loadSessions();
+      })
+      .catch((error) => this.showMessageError("インポートに失敗しました", error));
+  }
+
+  /**
+   * JSON形式のエクスポートファイルから会議の一覧を取り出す
+   */
+  parseHistoryJson(text) {
+    const data = JSON.parse(text);
+    if (!data || data.format !== HISTORY_FILE_FORMAT || !Array.isArray(data.sessions)) {
+      throw new Error("Auto 3s Mute の履歴ファイルではありません");
+    }
+    if (data.version > HISTORY_FILE_VERSION) {
+      throw new Error(`新しいバージョン（${data.version}）の履歴ファイルには対応していません`);
+    }
+    return data.sessions;
+  }
+
+  /**
+   * CSV形式のエクスポートファイルから会議の一覧を組み立てる
+   */
+  parseHistoryCsv(text) {
+    const [header, ...rows] = this.parseCsv(text);
+    const missing = HISTORY_CSV_COLUMNS.filter((column) => !header || !header.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`必要な列がありません（${missing.join(", ")}）`);
+    }
+
+    const toTime = (value) => (value === "" ? null : Date.parse(value));
+    const toNumber = (value) => (value === "" ? undefined : Number(value));
+    const sessions = new Map();
+    for (const values of rows) {
+      const row = Object.fromEntries(header.map((column, index) => [column, values[index] || ""]));
+      if (!sessions.has(row.session_id)) {
+        sessions.set(row.session_id, { id: row.session_id, meetingCode: row.meeting_code, joinedAt: toTime(row.joined_at), leftAt: toTime(row.left_at), events: [] });
+      }
+      const session = sessions.get(row.session_id);
+
+      if (row.record === "session") {
+        if (row.speaking_time !== "") {
+          session.analytics = {
+            monitoredTime: toNumber(row.monitored_time),
+            speakingTime: toNumber(row.speaking_time),
+            mutedTime: toNumber(row.muted_time),
+            longestTurn: toNumber(row.longest_turn),
+            turnCount: toNumber(row.turn_count),
+            talkRatio: toNumber(row.talk_ratio),
+          };
+        }
+      } else if (row.record === "event") {
+        const event = { time: toTime(row.time), type: row.type, reason: row.reason || null };
+        if (row.method) event.method = row.method;
+        if (row.error) event.error = row.error;
+        session.events.push(event);
+      } else {
+        session.invalidRecord = row.record;
+      }
+    }
+    return Array.from(sessions.values());
+  }
+
+  /**
+   * 読み込んだ会議の形式を検証
+   * @returns {string|null} 誤りの内容（正しい場合はnull）
+   */
+  validateImportedSession(session) {
+    const isTime = (value) => typeof value === "number" && Number.isFinite(value);
+    if (!session || typeof session !== "object") return "会議のデータではありません";
+    if (session.invalidRecord !== undefined) return `不明な行の種類です（${session.invalidRecord}）`;
+    if (typeof session.id !== "string" || session.id === "") return "IDがありません";
+    if (!/^[a-z]{3}-[a-z]{4}-[a-z]{3}$/.test(session.meetingCode)) return `会議コードが正しくありません（${session.meetingCode}）`;
+    if (!isTime(session.joinedAt)) return "参加時刻が正しくありません";
+    if (session.leftAt !== null && (!isTime(session.leftAt) || session.leftAt < session.joinedAt)) return "退出時刻が正しくありません";
+    if (!Array.isArray(session.events)) return "イベントの一覧がありません";
+
+    for (const event of session.events) {
+      if (!event || !isTime(event.time)) return "イベントの時刻が正しくありません";
+      if (!(event.type in SESSION_EVENT_LABELS)) return `不明なイベントです（${event.type}）`;
+    }
+
+    if (session.analytics !== undefined) {
+      const fields = ["monitoredTime", "speakingTime", "mutedTime", "longestTurn", "turnCount", "talkRatio"];
+      if (!session.analytics || fields.some((field) => !isTime(session.analytics[field]) || session.analytics[field] < 0) || session.analytics.talkRatio > 1) {
+        return "話した時間の集計が正しくありません";
+      }
+    }
+    return null;
+  }
+
+  /**
+   * インポート時の誤りを表示
+   */
+  renderImportErrors(errors) {
+    const maxErrors = 20;
+    const items = errors.slice(0, maxErrors).map((error) => {
+      const item = document.createElement("li");
+      item.textContent = error;
+      return item;
+    });
+    if (errors.length > maxErrors) {
+      const item = document.createElement("li");
+      item.textContent = `ほか${errors.length - maxErrors}件`;
+      items.push(item);
+    }
+    this.elements.importErrors.replaceChildren(...items);
+    this.elements.importErrors.hidden = errors.length === 0;
+  }
+
+  /**
+   * ファイルとしてダウンロード
+   */
+  downloadFile(content, type, filename) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([content], { type: type }));
+    link.download = filename;
+    link.click();
+    // クリック直後に解放するとダウンロードが始まる前にURLが無効になることがあるため、少し待ってから解放する
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  /**
+   * 会議の履歴を1件削除
+   */
+  deleteSession(session) {
+    if (confirm(`${new Date(session.joinedAt).toLocaleString("ja-JP")} の会議（${session.meetingCode}）の履歴を削除しますか？`)) {
+      MessageProtocol.send("DELETE_SESSION", { sessionId: session.id })
+        .then((response) => {
+          if (response.success) {
+            this.loadSessions();
+            this.showNotification("会議の履歴を削除しました", "success");
+          }
+        })
+        .catch((error) => this.showMessageError("会議の履歴の削除に失敗しました", error));
+    }
+  }
+
   /**
    * デフォルトに戻す
    */
   resetToDefaults() {
     if (confirm("設定をデフォルトに戻しますか？")) {
-      this.settings = {
-        enabled: true,
-        volumeThreshold: 0.1,
-        silenceDuration: 3,
-        showNotifications: true,
-        notificationSound: false,
-        monitoringInterval: 100,
-        sensitivityMode: "normal",
-      };
+      this.settings = SettingsManager.getDefaults();
 
       this.updateUI();
       this.showNotification("設定をデフォルトに戻しました", "info");
     }
   }
 
+  /**
+   * バックグラウンドとのメッセージの失敗を記録し、エラーの通知を表示
+   */
+  showMessageError(text, error) {
+    console.error(`Auto 3s Mute: ${text}:`, error);
+    this.showNotification(`${text}（${error.code || error.message}）`, "error");
+  }
+
   /**
    * 通知を表示
    */
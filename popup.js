@@ -1,12 +1,13 @@
 // Popup UI の制御スクリプト
 class PopupController {
   constructor() {
-    this.settings = {
-      enabled: true,
-      volumeThreshold: 0.01,
-      silenceDuration: 3,
-      showNotifications: false,
-    };
+    this.settingsManager = new SettingsManager();
+    this.settings = SettingsManager.getDefaults();
+    this.meetTabId = null; // 表示中のGoogle MeetのタブID（一時停止の対象）
+    this.snooze = null; // 表示中のタブの一時停止（{ until: 終了時刻（ms）、nullは会議が終わるまで }）
+    this.snoozeTimer = null; // 残り時間の表示を更新するタイマー
+    this.level = null; // Meetのタブから届いた最新の音量レベルと状態
+    this.meterRange = { min: -80, max: 0 }; // レベルメーターの表示範囲（dBFS）
 
     this.init();
   }
@@ -21,7 +22,23 @@ class PopupController {
       statusDot: document.querySelector(".status-dot"),
       statusText: document.querySelector(".status-text"),
       enabledToggle: document.getElementById("enabledToggle"),
+      modeIndicator: document.getElementById("modeIndicator"),
+      modeLabel: document.getElementById("modeLabel"),
       settingsSection: document.getElementById("settingsSection"),
+      liveSection: document.getElementById("liveSection"),
+      liveStatus: document.getElementById("liveStatus"),
+      levelMeter: document.getElementById("levelMeter"),
+      levelValue: document.getElementById("levelValue"),
+      meterThreshold: document.getElementById("meterThreshold"),
+      silenceTimer: document.getElementById("silenceTimer"),
+      silenceProgress: document.getElementById("silenceProgress"),
+      muteState: document.getElementById("muteState"),
+      snoozeButtons: document.querySelectorAll(".snooze-button"),
+      snoozeOptions: document.getElementById("snoozeOptions"),
+      snoozeStatus: document.getElementById("snoozeStatus"),
+      snoozeRemaining: document.getElementById("snoozeRemaining"),
+      resumeSnooze: document.getElementById("resumeSnooze"),
+      snoozeNote: document.getElementById("snoozeNote"),
       volumeThreshold: document.getElementById("volumeThreshold"),
       thresholdValue: document.getElementById("thresholdValue"),
       silenceDuration: document.getElementById("silenceDuration"),
@@ -39,9 +56,13 @@ class PopupController {
     // 設定と統計を読み込み
     await this.loadSettings();
     await this.loadStats();
+    await this.loadSnooze();
 
     // 状態を更新
     this.updateUI();
+
+    // Meetのタブの音量レベルを表示
+    this.connectLevelMeter();
   }
 
   /**
@@ -51,22 +72,35 @@ class PopupController {
     // 有効/無効トグル
     this.elements.enabledToggle.addEventListener("change", (e) => {
       this.settings.enabled = e.target.checked;
-      this.saveSettings();
+      this.saveSettings({ enabled: this.settings.enabled });
       this.updateUI();
     });
 
     // 音量閾値スライダー
     this.elements.volumeThreshold.addEventListener("input", (e) => {
-      this.settings.volumeThreshold = parseFloat(e.target.value);
-      this.elements.thresholdValue.textContent = this.settings.volumeThreshold.toFixed(2);
-      this.saveSettings();
+      this.previewThreshold(parseInt(e.target.value));
+      this.saveVolumeThreshold();
     });
 
+    // レベルメーターの閾値の線
+    this.setupThresholdDrag();
+
     // 無音時間スライダー
     this.elements.silenceDuration.addEventListener("input", (e) => {
       this.settings.silenceDuration = parseInt(e.target.value);
       this.elements.durationValue.textContent = this.settings.silenceDuration;
-      this.saveSettings();
+      this.saveSettings({ silenceDuration: this.settings.silenceDuration });
+    });
+
+    // 一時停止（data-minutesが空の場合は会議が終わるまで）
+    this.elements.snoozeButtons.forEach((button) => {
+      button.addEventListener("click", () => {
+        this.startSnooze(button.dataset.minutes ? parseInt(button.dataset.minutes) : null);
+      });
+    });
+
+    this.elements.resumeSnooze.addEventListener("click", () => {
+      this.resumeSnooze();
     });
 
     // 統計リセット
@@ -89,43 +123,274 @@ class PopupController {
    * 設定を読み込み
    */
   async loadSettings() {
-    return new Promise((resolve) => {
-      chrome.storage.sync.get(
-        {
-          enabled: true,
-          volumeThreshold: 0.01,
-          silenceDuration: 3,
-          showNotifications: false,
-        },
-        (result) => {
-          this.settings = result;
-          resolve();
-        }
-      );
-    });
+    this.settings = { ...(await this.settingsManager.load()) };
   }
 
   /**
    * 統計を読み込み
    */
   async loadStats() {
-    return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ type: "GET_STATS" }, (response) => {
-        if (response) {
-          this.elements.muteCount.textContent = response.autoMuteCount || 0;
-          this.elements.unmuteCount.textContent = response.autoUnmuteCount || 0;
-        }
-        resolve();
-      });
+    try {
+      const stats = await MessageProtocol.send("GET_STATS");
+      this.elements.muteCount.textContent = stats.autoMuteCount || 0;
+      this.elements.unmuteCount.textContent = stats.autoUnmuteCount || 0;
+    } catch (error) {
+      console.error("Auto 3s Mute: 統計の読み込みに失敗しました:", error);
+    }
+  }
+
+  /**
+   * 音量閾値を保存
+   */
+  saveVolumeThreshold() {
+    // プリセットの閾値を手動で変更した場合はカスタムモードに切り替える
+    if (this.settings.sensitivityMode !== "auto") {
+      this.settings.sensitivityMode = "custom";
+    }
+    this.saveSettings({
+      volumeThresholdDb: this.settings.volumeThresholdDb,
+      sensitivityMode: this.settings.sensitivityMode,
     });
   }
 
   /**
-   * 設定を保存
+   * 表示中のGoogle Meetのタブに接続し、音量レベルを受け取る
    */
-  saveSettings() {
-    chrome.storage.sync.set(this.settings, () => {
-      console.log("Auto 3s Mute: 設定を保存しました", this.settings);
+  connectLevelMeter() {
+    this.elements.liveSection.hidden = this.meetTabId === null;
+    if (this.meetTabId === null) return;
+
+    const port = chrome.tabs.connect(this.meetTabId, { name: "level-meter" });
+    port.onMessage.addListener((message) => {
+      const error = MessageProtocol.validate(message);
+      if (error || message.type !== "LEVEL") {
+        console.log(`Auto 3s Mute: 音量レベルを受信できませんでした (${error ? error.code : message.type})`);
+        return;
+      }
+      this.level = message;
+      this.drawLevelMeter();
+    });
+    port.onDisconnect.addListener(() => {
+      // content scriptが読み込まれていない場合（拡張機能の更新直後など）
+      if (chrome.runtime.lastError) {
+        console.log("Auto 3s Mute: Google Meetのタブに接続できませんでした:", chrome.runtime.lastError.message);
+      }
+      this.level = null;
+      this.elements.liveStatus.textContent = "ページを再読み込みすると表示されます";
+      this.drawLevelMeter();
+    });
+  }
+
+  /**
+   * 音量レベル（dBFS）をレベルメーター上のx座標に変換
+   */
+  levelToX(levelDb) {
+    const { width } = this.elements.levelMeter;
+    const ratio = (levelDb - this.meterRange.min) / (this.meterRange.max - this.meterRange.min);
+    return Math.min(1, Math.max(0, ratio)) * width;
+  }
+
+  /**
+   * レベルメーター上のx座標を音量閾値（dBFS）に変換
+   */
+  xToThreshold(x) {
+    const { min, max } = SETTINGS_SCHEMA.volumeThresholdDb;
+    const levelDb = this.meterRange.min + (x / this.elements.levelMeter.width) * (this.meterRange.max - this.meterRange.min);
+    return Math.min(max, Math.max(min, Math.round(levelDb)));
+  }
+
+  /**
+   * 表示中の開始閾値（自動モードでは推定した閾値、ドラッグ中は変更後の値）
+   */
+  getDisplayedThreshold() {
+    if (this.level && this.level.autoThreshold) return this.level.thresholdDb;
+    return this.settings.volumeThresholdDb;
+  }
+
+  /**
+   * レベルメーター・無音時間・実際のミュート状態を描画
+   */
+  drawLevelMeter() {
+    const canvas = this.elements.levelMeter;
+    const context = canvas.getContext("2d");
+    const level = this.level;
+    const active = level && level.monitoring && level.levelDb !== null;
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = "#eee";
+    context.fillRect(0, 8, canvas.width, canvas.height - 16);
+
+    // 音量レベル（発話中は緑、非発話は灰色）
+    if (active) {
+      context.fillStyle = level.isSpeech ? "#4caf50" : "#9e9e9e";
+      context.fillRect(0, 8, this.levelToX(level.levelDb), canvas.height - 16);
+    }
+
+    // 終了閾値（薄い線）と開始閾値（ドラッグできる線）
+    if (level) {
+      context.fillStyle = "rgba(244, 67, 54, 0.35)";
+      context.fillRect(this.levelToX(level.releaseThresholdDb) - 0.5, 8, 1, canvas.height - 16);
+    }
+    const thresholdX = this.levelToX(this.getDisplayedThreshold());
+    context.fillStyle = "#f44336";
+    context.fillRect(thresholdX - 1, 0, 2, canvas.height);
+    context.beginPath();
+    context.arc(thresholdX, 4, 4, 0, Math.PI * 2);
+    context.fill();
+
+    this.elements.levelValue.textContent = active ? `${level.levelDb.toFixed(1)} dBFS` : "- dBFS";
+    this.elements.meterThreshold.textContent = `閾値 ${Math.round(this.getDisplayedThreshold())} dBFS${level && level.autoThreshold ? "（自動）" : ""}`;
+    this.elements.levelMeter.classList.toggle("locked", Boolean(level && level.autoThreshold));
+
+    // 無音時間（自動ミュートまでの進み具合）
+    const silenceRatio = active && level.muteDelay > 0 ? Math.min(1, level.silenceDuration / level.muteDelay) : 0;
+    this.elements.silenceProgress.style.width = `${silenceRatio * 100}%`;
+    this.elements.silenceTimer.textContent = active ? `無音 ${level.silenceDuration.toFixed(1)} / ${level.muteDelay.toFixed(1)}秒` : "無音 - 秒";
+
+    // マイクボタンから読み取った実際のミュート状態
+    const muteState = this.elements.muteState;
+    if (!level) {
+      muteState.textContent = "-";
+      muteState.className = "mute-state";
+    } else if (level.isMuted === null) {
+      muteState.textContent = level.lifecycleState === "in-call" ? "マイクボタンが見つかりません" : "通話中ではありません";
+      muteState.className = "mute-state unknown";
+    } else if (level.isMuted) {
+      muteState.textContent = level.muteSource === "auto" ? "ミュート中（自動）" : "ミュート中";
+      muteState.className = "mute-state muted";
+    } else {
+      muteState.textContent = "マイクON";
+      muteState.className = "mute-state live";
+    }
+
+    if (level) {
+      this.elements.liveStatus.textContent = !level.enabled ? "無効" : level.snoozed ? "一時停止中" : level.monitoring ? "" : "通話に参加すると表示されます";
+    }
+  }
+
+  /**
+   * 閾値の線をドラッグして音量閾値を変更（離したときに保存し、Meetのタブにはストレージ経由で反映される）
+   */
+  setupThresholdDrag() {
+    const canvas = this.elements.levelMeter;
+    const toCanvasX = (event) => ((event.clientX - canvas.getBoundingClientRect().left) / canvas.clientWidth) * canvas.width;
+    let dragging = false;
+
+    canvas.addEventListener("pointerdown", (event) => {
+      // 自動モードでは閾値はノイズフロアから決まるため変更しない
+      if (this.level && this.level.autoThreshold) return;
+      dragging = true;
+      canvas.setPointerCapture(event.pointerId);
+      this.previewThreshold(this.xToThreshold(toCanvasX(event)));
+    });
+    canvas.addEventListener("pointermove", (event) => {
+      if (dragging) {
+        this.previewThreshold(this.xToThreshold(toCanvasX(event)));
+      }
+    });
+    canvas.addEventListener("pointerup", () => {
+      if (!dragging) return;
+      dragging = false;
+      this.saveVolumeThreshold();
+    });
+  }
+
+  /**
+   * ドラッグ中の閾値を表示に反映
+   */
+  previewThreshold(thresholdDb) {
+    this.settings.volumeThresholdDb = thresholdDb;
+    this.elements.volumeThreshold.value = thresholdDb;
+    this.elements.thresholdValue.textContent = thresholdDb;
+    this.drawLevelMeter();
+  }
+
+  /**
+   * 表示中のGoogle Meetのタブの一時停止を読み込み
+   */
+  async loadSnooze() {
+    const [tab] = await new Promise((resolve) => chrome.tabs.query({ active: true, currentWindow: true }, resolve));
+    this.meetTabId = tab && tab.url && tab.url.startsWith("https://meet.google.com/") ? tab.id : null;
+    if (this.meetTabId === null) return;
+
+    try {
+      this.snooze = await MessageProtocol.send("GET_SNOOZE", { tabId: this.meetTabId });
+    } catch (error) {
+      console.error("Auto 3s Mute: 一時停止の読み込みに失敗しました:", error);
+      this.snooze = null;
+    }
+  }
+
+  /**
+   * 一時停止を開始（minutesがnullの場合は会議が終わるまで）
+   */
+  startSnooze(minutes) {
+    if (this.meetTabId === null) return;
+
+    MessageProtocol.send("SNOOZE", { tabId: this.meetTabId, minutes: minutes })
+      .then((snooze) => {
+        this.snooze = snooze;
+        this.updateSnooze();
+      })
+      .catch((error) => console.error("Auto 3s Mute: 一時停止を開始できませんでした:", error));
+  }
+
+  /**
+   * 一時停止を終了
+   */
+  resumeSnooze() {
+    if (this.meetTabId === null) return;
+
+    MessageProtocol.send("RESUME_SNOOZE", { tabId: this.meetTabId })
+      .then(() => {
+        this.snooze = null;
+        this.updateSnooze();
+      })
+      .catch((error) => console.error("Auto 3s Mute: 一時停止を終了できませんでした:", error));
+  }
+
+  /**
+   * 一時停止の表示を更新（一時停止中は残り時間を1秒ごとに更新する）
+   */
+  updateSnooze() {
+    clearInterval(this.snoozeTimer);
+    this.snoozeTimer = null;
+
+    const available = this.meetTabId !== null && this.settings.enabled;
+    this.elements.snoozeButtons.forEach((button) => {
+      button.disabled = !available;
+    });
+    this.elements.snoozeNote.hidden = this.meetTabId !== null;
+
+    const snoozed = available && this.snooze !== null;
+    this.elements.snoozeOptions.hidden = snoozed;
+    this.elements.snoozeStatus.hidden = !snoozed;
+    if (!snoozed) return;
+
+    if (this.snooze.until === null) {
+      this.elements.snoozeRemaining.textContent = "この会議が終わるまで一時停止中";
+      return;
+    }
+
+    const update = () => {
+      const seconds = Math.ceil((this.snooze.until - Date.now()) / 1000);
+      if (seconds <= 0) {
+        this.snooze = null;
+        this.updateSnooze();
+        return;
+      }
+      this.elements.snoozeRemaining.textContent = `一時停止中（残り ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}）`;
+    };
+    update();
+    this.snoozeTimer = setInterval(update, 1000);
+  }
+
+  /**
+   * 変更した設定を保存
+   */
+  saveSettings(values) {
+    this.settingsManager.save(values).then(() => {
+      console.log("Auto 3s Mute: 設定を保存しました", values);
     });
   }
 
@@ -138,22 +403,27 @@ class PopupController {
     this.elements.settingsSection.style.display = this.settings.enabled ? "block" : "none";
 
     // スライダーの値を更新
-    this.elements.volumeThreshold.value = this.settings.volumeThreshold;
-    this.elements.thresholdValue.textContent = this.settings.volumeThreshold.toFixed(2);
+    this.elements.volumeThreshold.value = this.settings.volumeThresholdDb;
+    this.elements.thresholdValue.textContent = this.settings.volumeThresholdDb;
     this.elements.silenceDuration.value = this.settings.silenceDuration;
     this.elements.durationValue.textContent = this.settings.silenceDuration;
 
-    // ステータス表示を更新
+    // ステータス表示と一時停止の表示を更新
     this.updateStatus();
+    this.updateSnooze();
   }
 
   /**
    * ステータス表示を更新
    */
   updateStatus() {
+    const modeLabel = OPERATING_MODE_LABELS[this.settings.operatingMode];
+    this.elements.modeLabel.textContent = modeLabel;
+    this.elements.modeIndicator.classList.toggle("inactive", !this.settings.enabled);
+
     if (this.settings.enabled) {
       this.elements.statusDot.classList.remove("inactive");
-      this.elements.statusText.textContent = "有効";
+      this.elements.statusText.textContent = `有効（${modeLabel}）`;
     } else {
       this.elements.statusDot.classList.add("inactive");
       this.elements.statusText.textContent = "無効";
@@ -164,13 +434,13 @@ class PopupController {
    * 統計をリセット
    */
   resetStats() {
-    chrome.runtime.sendMessage({ type: "RESET_STATS" }, (response) => {
-      if (response && response.success) {
+    MessageProtocol.send("RESET_STATS")
+      .then(() => {
         this.elements.muteCount.textContent = "0";
         this.elements.unmuteCount.textContent = "0";
         console.log("Auto 3s Mute: 統計をリセットしました");
-      }
-    });
+      })
+      .catch((error) => console.error("Auto 3s Mute: 統計のリセットに失敗しました:", error));
   }
 
   /**
@@ -0,0 +1,187 @@
+// すべてのコンテキスト（content script / background / popup / options）で共有する設定の定義と読み書き
+
+/**
+ * 設定スキーマ（保存される項目・型・既定値・取り得る範囲）
+ */
+const SETTINGS_SCHEMA = {
+  enabled: { type: "boolean", default: true },
+  operatingMode: { type: "enum", default: "both", values: ["both", "mute-only", "unmute-only", "suggest"] }, // 自動ミュート/解除のどちらを行うか
+  confirmUnmute: { type: "boolean", default: false }, // ミュート解除の前に「話していますか？」プロンプトで確認する
+  autoUnmuteManualMute: { type: "boolean", default: false }, // 手動でミュートした場合も自動でミュート解除する
+  volumeThresholdDb: { type: "number", default: -40, min: -80, max: -10 }, // 音量閾値（dBFS）
+  silenceDuration: { type: "number", default: 3, min: 1, max: 10, integer: true }, // 自動ミュートまでの無音時間（秒）
+  showNotifications: { type: "boolean", default: false },
+  notificationSound: { type: "boolean", default: false }, // 自動ミュート/解除時にMeetのページで効果音を鳴らす
+  notificationVolume: { type: "number", default: 50, min: 0, max: 100, integer: true }, // 効果音の音量（%）
+  countdownLeadTime: { type: "number", default: 2, min: 0, max: 5, integer: true }, // 自動ミュートの何秒前からカウントダウンを表示するか（0は表示しない）
+  countdownPosition: { type: "enum", default: "bottom-center", values: ["bottom-center", "bottom-left", "bottom-right", "top-center"] },
+  countdownSize: { type: "enum", default: "medium", values: ["small", "medium", "large"] },
+  monitoringInterval: { type: "number", default: 100, min: 50, max: 500, integer: true }, // 解析間隔（ms）
+  sensitivityMode: { type: "enum", default: "normal", values: ["normal", "high", "low", "custom", "auto"] },
+  noiseFloorMargin: { type: "number", default: 10, min: 3, max: 30 }, // 自動モードのノイズフロアからのマージン（dB）
+  hysteresisDb: { type: "number", default: 6, min: 0, max: 20 }, // 開始閾値と終了閾値の差（dB）
+  minSpeechDuration: { type: "number", default: 150, min: 0, max: 1000, integer: true }, // ミュート解除に必要な発話の長さ（ms）
+  hangTime: { type: "number", default: 500, min: 0, max: 2000, integer: true }, // 発話終了から無音のカウント開始までの時間（ms）
+  historyRetentionDays: { type: "number", default: 30, min: 1, max: 365, integer: true }, // 会議の履歴を保存する日数
+};
+
+/**
+ * 動作モードの表示名
+ */
+const OPERATING_MODE_LABELS = {
+  both: "全自動",
+  "mute-only": "ミュートのみ",
+  "unmute-only": "ミュート解除のみ",
+  suggest: "提案のみ",
+};
+
+/**
+ * 感度モードごとのプリセット（"custom"は現在の値を維持する）
+ */
+const SENSITIVITY_PRESETS = {
+  high: { volumeThresholdDb: -50, monitoringInterval: 50 },
+  normal: { volumeThresholdDb: -40, monitoringInterval: 100 },
+  low: { volumeThresholdDb: -30, monitoringInterval: 200 },
+  auto: { monitoringInterval: 100 },
+  custom: {},
+};
+
+/**
+ * chrome.storage.sync の設定を読み書きする
+ */
+class SettingsManager {
+  constructor() {
+    this.settings = SettingsManager.getDefaults();
+  }
+
+  /**
+   * 既定値の設定を取得
+   */
+  static getDefaults() {
+    const defaults = {};
+    for (const [key, schema] of Object.entries(SETTINGS_SCHEMA)) {
+      defaults[key] = schema.default;
+    }
+    return defaults;
+  }
+
+  /**
+   * 1項目の値をスキーマに従って正規化（不正な値は既定値に戻す）
+   */
+  static normalizeValue(key, value) {
+    const schema = SETTINGS_SCHEMA[key];
+    if (value === undefined || value === null) {
+      return schema.default;
+    }
+
+    switch (schema.type) {
+      case "boolean":
+        return Boolean(value);
+      case "number": {
+        let number = parseFloat(value);
+        if (!Number.isFinite(number)) {
+          return schema.default;
+        }
+        if (schema.integer) {
+          number = Math.round(number);
+        }
+        return Math.min(schema.max, Math.max(schema.min, number));
+      }
+      case "enum":
+        return schema.values.includes(value) ? value : schema.default;
+      default:
+        return schema.default;
+    }
+  }
+
+  /**
+   * スキーマに含まれる項目だけを取り出して正規化
+   */
+  static normalize(values) {
+    const normalized = {};
+    for (const key of Object.keys(SETTINGS_SCHEMA)) {
+      if (key in values) {
+        normalized[key] = SettingsManager.normalizeValue(key, values[key]);
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * 感度モードのプリセットを取得
+   */
+  static getPreset(mode) {
+    return SENSITIVITY_PRESETS[mode] || {};
+  }
+
+  /**
+   * 設定を読み込み
+   */
+  load() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(SettingsManager.getDefaults(), (result) => {
+        this.settings = { ...SettingsManager.getDefaults(), ...SettingsManager.normalize(result) };
+        resolve(this.settings);
+      });
+    });
+  }
+
+  /**
+   * 設定の一部または全部を保存
+   */
+  save(values) {
+    const normalized = SettingsManager.normalize(values);
+    return new Promise((resolve) => {
+      chrome.storage.sync.set(normalized, () => {
+        this.settings = { ...this.settings, ...normalized };
+        resolve(this.settings);
+      });
+    });
+  }
+
+  /**
+   * 設定の変更を監視（変更された項目だけを正規化して通知する）
+   */
+  onChange(listener) {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace !== "sync") return;
+
+      const changed = {};
+      for (const key of Object.keys(changes)) {
+        if (key in SETTINGS_SCHEMA) {
+          changed[key] = SettingsManager.normalizeValue(key, changes[key].newValue);
+        }
+      }
+      if (Object.keys(changed).length === 0) return;
+
+      this.settings = { ...this.settings, ...changed };
+      listener(changed, this.settings);
+    });
+  }
+
+  /**
+   * 旧バージョンの設定を現在のスキーマに移行
+   */
+  migrate() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(["volumeThreshold", "volumeThresholdDb"], (result) => {
+        if (result.volumeThreshold === undefined) {
+          resolve();
+          return;
+        }
+
+        // 旧形式の音量閾値（0-1のスペクトル平均）は振幅とみなしてdBFSに換算する
+        const legacyThreshold = parseFloat(result.volumeThreshold);
+        const migrated = {};
+        if (result.volumeThresholdDb === undefined && legacyThreshold > 0) {
+          migrated.volumeThresholdDb = SettingsManager.normalizeValue("volumeThresholdDb", Math.round(20 * Math.log10(legacyThreshold)));
+          console.log(`Auto 3s Mute: 音量閾値を移行しました (${legacyThreshold} → ${migrated.volumeThresholdDb} dBFS)`);
+        }
+
+        chrome.storage.sync.set(migrated, () => {
+          chrome.storage.sync.remove("volumeThreshold", () => resolve());
+        });
+      });
+    });
+  }
+}